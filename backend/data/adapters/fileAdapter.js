@@ -0,0 +1,79 @@
+// File-backed storage adapter
+// Loads the whole store from a JSON file on startup, serves reads from memory
+// and rewrites the file after every mutation. Writes go to a temporary file
+// first and are renamed into place so a crash never leaves a truncated store.
+
+const fs = require('fs');
+const path = require('path');
+const MemoryAdapter = require('./memoryAdapter');
+
+// Record fields that hold dates. JSON.stringify turns them into ISO strings,
+// so they are turned back into Date objects on load. Only these fields are
+// revived: user text such as a task name stays a string even when it looks
+// like a date, and so do values like notification data that are stored as
+// strings on purpose.
+const DATE_FIELDS = new Set([
+  'createdAt', 'deletedAt', 'archivedAt', 'timestamp',
+  'date', 'dueDate', 'startsAt', 'endsAt', 'statusChangedAt',
+  'expiresAt', 'usedAt', 'revokedAt', 'lastUsedAt', 'emailVerifiedAt',
+  'respondedAt', 'editedAt', 'readAt', 'digestedAt', 'sentAt', 'acknowledgedAt',
+  'lastReadAt', 'lastDigestAt', 'firstFailureAt', 'lastFailureAt', 'lockedUntil',
+  'lastAttemptAt', 'nextAttemptAt'
+]);
+
+const toDate = (value) => (typeof value === 'string' ? new Date(value) : value);
+
+// Restore the Date objects of one stored record
+const reviveDates = (record) => {
+  Object.keys(record)
+    .filter(field => DATE_FIELDS.has(field))
+    .forEach(field => {
+      record[field] = toDate(record[field]);
+    });
+
+  // Audit entries keep the before and after values of date fields too, and
+  // reverting writes them back
+  if (Array.isArray(record.changes)) {
+    record.changes
+      .filter(change => DATE_FIELDS.has(change.field))
+      .forEach(change => {
+        change.before = toDate(change.before);
+        change.after = toDate(change.after);
+      });
+  }
+
+  return record;
+};
+
+class FileAdapter extends MemoryAdapter {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.pendingWrite = Promise.resolve();
+
+    if (fs.existsSync(filePath)) {
+      this.collections = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      Object.values(this.collections).forEach(records => records.forEach(reviveDates));
+    } else {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+  }
+
+  // Serialize writes so concurrent requests cannot interleave file contents
+  async persist() {
+    const snapshot = JSON.stringify(this.collections, null, 2);
+
+    const write = this.pendingWrite.then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, snapshot);
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+
+    // A failed write must not block the ones queued after it
+    this.pendingWrite = write.catch(() => {});
+
+    return write;
+  }
+}
+
+module.exports = FileAdapter;
@@ -0,0 +1,85 @@
+// In-memory storage adapter
+// Keeps every collection in plain arrays for the lifetime of the process.
+// Records are cloned on the way in and out so callers can never mutate
+// stored data without going through the adapter.
+//
+// Every record carries a version that starts at 1 and goes up on each update.
+
+const { VersionConflictError } = require('../errors');
+
+class MemoryAdapter {
+  constructor(seed = {}) {
+    this.collections = {};
+
+    Object.keys(seed).forEach(name => {
+      this.collections[name] = seed[name].map(record => structuredClone(record));
+    });
+  }
+
+  // Collections are created on first use so new features need no migration
+  collection(name) {
+    if (!this.collections[name]) {
+      this.collections[name] = [];
+    }
+    return this.collections[name];
+  }
+
+  async list(name) {
+    return this.collection(name).map(record => structuredClone(record));
+  }
+
+  async get(name, id) {
+    const record = this.collection(name).find(r => r.id === id);
+    return record ? structuredClone(record) : null;
+  }
+
+  async insert(name, record) {
+    const stored = { version: 1, ...structuredClone(record) };
+    this.collection(name).push(stored);
+    await this.persist();
+    return structuredClone(stored);
+  }
+
+  // The version check and the write happen without yielding, so two
+  // concurrent updates can never both pass the same expectedVersion
+  async update(name, id, changes, { expectedVersion } = {}) {
+    const record = this.collection(name).find(r => r.id === id);
+    if (!record) {
+      return null;
+    }
+
+    const currentVersion = record.version || 1;
+    if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+      throw new VersionConflictError(structuredClone(record));
+    }
+
+    // A field set to undefined is removed from the record
+    Object.entries(structuredClone(changes)).forEach(([field, value]) => {
+      if (value === undefined) {
+        delete record[field];
+      } else {
+        record[field] = value;
+      }
+    });
+    record.version = currentVersion + 1;
+    await this.persist();
+    return structuredClone(record);
+  }
+
+  async remove(name, id) {
+    const records = this.collection(name);
+    const index = records.findIndex(r => r.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [removed] = records.splice(index, 1);
+    await this.persist();
+    return removed;
+  }
+
+  // Nothing to flush for the in-memory store
+  async persist() {}
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,12 @@
+// Storage errors shared by the adapters and the routes
+
+// Raised when a write expected a different record version than the stored one
+class VersionConflictError extends Error {
+  constructor(current) {
+    super('Record has been modified by someone else');
+    this.name = 'VersionConflictError';
+    this.current = current;
+  }
+}
+
+module.exports = { VersionConflictError };
@@ -0,0 +1,59 @@
+// Storage entry point for PlanPilot
+// Picks a storage adapter from the environment and exposes one repository per
+// collection. Every route should import from here rather than reaching into
+// an adapter directly.
+//
+//   DB_DRIVER=memory  (default) seeded in-memory store, lost on restart
+//   DB_DRIVER=file    JSON file store at DB_FILE
+
+const path = require('path');
+const MemoryAdapter = require('./adapters/memoryAdapter');
+const FileAdapter = require('./adapters/fileAdapter');
+const Repository = require('./repository');
+const seed = require('./seed');
+
+const DB_DRIVER = process.env.DB_DRIVER || 'memory';
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'planpilot.db.json');
+
+const createAdapter = (driver) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryAdapter(seed);
+    case 'file':
+      return new FileAdapter(DB_FILE);
+    default:
+      throw new Error(`Unknown DB_DRIVER "${driver}" (expected "memory" or "file")`);
+  }
+};
+
+const adapter = createAdapter(DB_DRIVER);
+
+// Repository for any collection, used for collections without a fixed export
+const repository = (collection) => new Repository(adapter, collection);
+
+module.exports = {
+  adapter,
+  repository,
+  users: new Repository(adapter, 'users'),
+  events: new Repository(adapter, 'events'),
+  tasks: new Repository(adapter, 'tasks'),
+  guests: new Repository(adapter, 'guests'),
+  vendors: new Repository(adapter, 'vendors'),
+  expenses: new Repository(adapter, 'expenses'),
+  auditLogs: new Repository(adapter, 'auditLogs'),
+  sessions: new Repository(adapter, 'sessions'),
+  refreshTokens: new Repository(adapter, 'refreshTokens'),
+  oneTimeTokens: new Repository(adapter, 'oneTimeTokens'),
+  loginAttempts: new Repository(adapter, 'loginAttempts'),
+  securityEvents: new Repository(adapter, 'securityEvents'),
+  personalAccessTokens: new Repository(adapter, 'personalAccessTokens'),
+  invitations: new Repository(adapter, 'invitations'),
+  ownershipTransfers: new Repository(adapter, 'ownershipTransfers'),
+  comments: new Repository(adapter, 'comments'),
+  activityReads: new Repository(adapter, 'activityReads'),
+  notifications: new Repository(adapter, 'notifications'),
+  webhooks: new Repository(adapter, 'webhooks'),
+  webhookDeliveries: new Repository(adapter, 'webhookDeliveries'),
+  eventTemplates: new Repository(adapter, 'eventTemplates'),
+  agendaSessions: new Repository(adapter, 'agendaSessions')
+};
@@ -0,0 +1,92 @@
+// Repository for a single collection
+// Routes talk to repositories instead of the storage adapter so that query
+// helpers live in one place and the adapter only has to know about records.
+//
+// Records carrying a deletedAt timestamp are in the trash: every read skips
+// them unless called with { withDeleted: true }. Writes accept an
+// expectedVersion and fail with a VersionConflictError when the stored record
+// has moved on.
+
+// A query is either a predicate function or an object of field values that
+// must all match
+const toPredicate = (query) => {
+  if (typeof query === 'function') {
+    return query;
+  }
+
+  const entries = Object.entries(query || {});
+  return record => entries.every(([field, value]) => record[field] === value);
+};
+
+class Repository {
+  constructor(adapter, collection) {
+    this.adapter = adapter;
+    this.collection = collection;
+  }
+
+  async find(query = {}, { withDeleted = false } = {}) {
+    const records = await this.adapter.list(this.collection);
+    const matches = toPredicate(query);
+    return records.filter(record => (withDeleted || !record.deletedAt) && matches(record));
+  }
+
+  async findOne(query, options) {
+    const records = await this.find(query, options);
+    return records[0] || null;
+  }
+
+  async findById(id, { withDeleted = false } = {}) {
+    const record = await this.adapter.get(this.collection, id);
+    if (!record || (record.deletedAt && !withDeleted)) {
+      return null;
+    }
+    return record;
+  }
+
+  async count(query = {}, options) {
+    const records = await this.find(query, options);
+    return records.length;
+  }
+
+  async create(record) {
+    return this.adapter.insert(this.collection, record);
+  }
+
+  async update(id, changes, options) {
+    return this.adapter.update(this.collection, id, changes, options);
+  }
+
+  // Move a record to the trash. fields may override deletedAt or add
+  // bookkeeping such as deletedBy.
+  async softRemove(id, fields = {}, options) {
+    return this.adapter.update(this.collection, id, {
+      deletedAt: new Date(),
+      deletedBy: null,
+      ...fields
+    }, options);
+  }
+
+  // Take a record back out of the trash
+  async restore(id) {
+    return this.adapter.update(this.collection, id, {
+      deletedAt: undefined,
+      deletedBy: undefined,
+      deletedWithEvent: undefined
+    });
+  }
+
+  async remove(id) {
+    return this.adapter.remove(this.collection, id);
+  }
+
+  // Permanently removes matching records, including those in the trash
+  async removeWhere(query) {
+    const records = await this.find(query, { withDeleted: true });
+    for (const record of records) {
+      await this.adapter.remove(this.collection, record.id);
+    }
+    return records;
+  }
+}
+
+module.exports = Repository;
@@ -1,5 +1,6 @@
-// In-memory database for PlanPilot
-// In production, this would be replaced with a real database
+// Seed data for PlanPilot
+// Loaded into the in-memory storage adapter on startup so local development
+// has something to work with. The file adapter starts from an empty store.
 
 const users = [
   {
@@ -7,6 +8,14 @@ const users = [
     name: 'John Doe',
     email: 'john@example.com',
     password: '$2a$10$hashedpassword123', // bcrypt hash
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    timezone: 'UTC',
+    locale: 'en-US',
+    notificationPreferences: {},
+    notificationDigest: 'off',
+    twoFactorEnabled: false,
+    version: 1,
     createdAt: new Date()
   }
 ];
@@ -20,7 +29,10 @@ const events = [
     description: 'Beautiful summer wedding celebration',
     hostId: '1',
     collaborators: [],
+    roles: {},
     vendors: [],
+    status: 'Planning',
+    version: 1,
     createdAt: new Date()
   }
 ];
@@ -33,7 +45,9 @@ const tasks = [
     assigneeId: '1',
     dueDate: new Date('2024-03-01'),
     status: 'To-Do',
+    weight: 1,
     eventId: '1',
+    version: 1,
     createdAt: new Date()
   }
 ];
@@ -47,6 +61,7 @@ const guests = [
     notes: 'Vegetarian meal preference',
     rsvpStatus: 'Pending',
     eventId: '1',
+    version: 1,
     createdAt: new Date()
   }
 ];
@@ -58,7 +73,9 @@ const vendors = [
     contactName: 'Sarah Johnson',
     email: 'sarah@elegantcatering.com',
     serviceProvided: 'Catering',
+    isConfirmed: false,
     eventId: '1',
+    version: 1,
     createdAt: new Date()
   }
 ];
@@ -71,6 +88,7 @@ const expenses = [
     amount: 2500,
     isPaid: true,
     eventId: '1',
+    version: 1,
     createdAt: new Date()
   }
 ];
@@ -1,8 +1,10 @@
 const jwt = require('jsonwebtoken');
+const { sessions } = require('../data');
+const { isPersonalAccessToken, authenticatePersonalToken } = require('../services/personalAccessTokens');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -10,13 +12,40 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  // Personal access tokens are limited to their scopes (see middleware/scopes.js)
+  if (isPersonalAccessToken(token)) {
+    try {
+      const record = await authenticatePersonalToken(token);
+      if (!record) {
+        return res.status(403).json({ error: 'Invalid or expired token' });
+      }
+
+      req.user = { id: record.userId, tokenId: record.id, scopes: record.scopes };
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    // Access tokens die with their session (logout, reuse detection)
+    const session = decoded.sid && await sessions.findById(decoded.sid);
+    if (!session || session.revokedAt) {
+      return res.status(403).json({ error: 'Session has been revoked' });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
-    return res.status(403).json({ error: 'Invalid or expired token' });
+    next(error);
   }
 };
 
-module.exports = { authenticateToken, JWT_SECRET }; 
\ No newline at end of file
+module.exports = { authenticateToken, JWT_SECRET };
@@ -0,0 +1,43 @@
+// Optimistic concurrency helpers
+// GET responses carry an ETag derived from the record version. Clients send
+// it back in If-Match on PUT/DELETE; a stale tag is answered with 412 and the
+// current state of the record so the client can merge and retry.
+
+const etagFor = (record) => `"${record.version || 1}"`;
+
+const setETag = (res, record) => res.set('ETag', etagFor(record));
+
+// Version demanded by the If-Match header, or undefined when the request does
+// not make its write conditional ("*" or no header). An unparseable tag can
+// never match and yields NaN.
+const expectedVersion = (req) => {
+  const header = req.headers['if-match'];
+  if (!header || header.trim() === '*') {
+    return undefined;
+  }
+
+  const tag = header.trim().replace(/^W\//, '').replace(/"/g, '');
+  return /^\d+$/.test(tag) ? parseInt(tag, 10) : NaN;
+};
+
+// True when the request carries an If-Match that no longer matches the record
+const isStale = (req, record) => {
+  const version = expectedVersion(req);
+  return version !== undefined && version !== (record.version || 1);
+};
+
+const sendVersionConflict = (res, current) => {
+  setETag(res, current);
+  return res.status(412).json({
+    error: 'This record has been modified by someone else. Reload it and try again.',
+    current
+  });
+};
+
+module.exports = {
+  etagFor,
+  setETag,
+  expectedVersion,
+  isStale,
+  sendVersionConflict
+};
@@ -0,0 +1,42 @@
+const { events } = require('../data');
+const { roleOf, roleCan } = require('../services/permissions');
+const { isArchived } = require('../services/eventLifecycle');
+const { READ_METHODS } = require('./scopes');
+
+// Load the event in req.params.eventId and check the user's role allows the
+// action on the resource (see services/permissions.js); resource may be a
+// function of req. On success the event and role are left on req.event and
+// req.eventRole.
+// Archived events only accept reads, unless options.allowArchived is set for
+// routes that do not change the event (or that unarchive it).
+// Must run after authenticateToken.
+const authorizeEvent = (resource, action, { allowArchived = false } = {}) => async (req, res, next) => {
+  try {
+    const event = await events.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const role = roleOf(event, req.user.id);
+    if (!role) {
+      return res.status(403).json({ error: 'Access denied to this event' });
+    }
+
+    const resourceName = typeof resource === 'function' ? resource(req) : resource;
+    if (!roleCan(role, resourceName, action)) {
+      return res.status(403).json({ error: `Your role on this event (${role}) does not allow this` });
+    }
+
+    if (isArchived(event) && !allowArchived && !READ_METHODS.includes(req.method)) {
+      return res.status(409).json({ error: 'This event is archived and read-only; change its status to edit it' });
+    }
+
+    req.event = event;
+    req.eventRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { authorizeEvent };
@@ -0,0 +1,43 @@
+// Scope checks for personal access tokens
+// Requests made with a personal access token carry req.user.scopes; session
+// tokens carry none and are never restricted here.
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Require the scope for a resource: "read" or "<resource>:write" for reads,
+// "<resource>:write" for everything else. resource may be a function of req.
+const requireScope = (resource) => (req, res, next) => {
+  if (!req.user || !req.user.scopes) {
+    return next();
+  }
+
+  const resourceName = typeof resource === 'function' ? resource(req) : resource;
+  const writeScope = `${resourceName}:write`;
+  const accepted = READ_METHODS.includes(req.method) ? ['read', writeScope] : [writeScope];
+
+  if (!accepted.some(scope => req.user.scopes.includes(scope))) {
+    return res.status(403).json({ error: `This token needs the "${accepted[accepted.length - 1]}" scope` });
+  }
+
+  next();
+};
+
+// Whether the user's token may read the resource outside of a request, e.g.
+// for changes pushed over a stream
+const scopesAllowRead = (user, resource) =>
+  !user.scopes || ['read', `${resource}:write`].some(scope => user.scopes.includes(scope));
+
+// Whether the user's token may change the resource when the route alone does
+// not tell which resource is touched, e.g. reverting a history entry
+const scopesAllowWrite = (user, resource) =>
+  !user.scopes || user.scopes.includes(`${resource}:write`);
+
+// Account and credential management is only open to logged-in sessions
+const rejectPersonalAccessTokens = (req, res, next) => {
+  if (req.user && req.user.scopes) {
+    return res.status(403).json({ error: 'Personal access tokens cannot be used for this endpoint' });
+  }
+  next();
+};
+
+module.exports = { READ_METHODS, requireScope, scopesAllowRead, scopesAllowWrite, rejectPersonalAccessTokens };
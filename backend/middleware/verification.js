@@ -0,0 +1,23 @@
+const { users } = require('../data');
+const { isActionAllowed } = require('../services/emailVerification');
+
+// Refuse an action to users who have not verified their email address yet,
+// when the action is listed in UNVERIFIED_USER_RESTRICTIONS.
+// Must run after authenticateToken.
+const requireVerifiedEmail = (action) => async (req, res, next) => {
+  try {
+    const user = await users.findById(req.user.id);
+    if (!isActionAllowed(user, action)) {
+      return res.status(403).json({
+        error: 'Please verify your email address before doing this',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { requireVerifiedEmail };
@@ -0,0 +1,249 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { rejectPersonalAccessTokens } = require('../middleware/scopes');
+const { users } = require('../data');
+const { sendVerificationEmail, resendWaitSeconds } = require('../services/emailVerification');
+const {
+  toPublicUser,
+  isValidTimezone,
+  isValidLocale,
+  planOwnedEvents,
+  deleteAccount
+} = require('../services/accounts');
+
+const router = express.Router();
+
+// Apply authentication to all account routes
+router.use('/me', authenticateToken, rejectPersonalAccessTokens);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the authenticated user's account
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const user = await users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(toPublicUser(user));
+
+  } catch (error) {
+    console.error('Get account error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching account' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   put:
+ *     summary: Update the authenticated user's profile
+ *     description: A new email address is kept as pendingEmail and only takes effect once the link mailed to it is followed.
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "John Doe"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "john.doe@example.com"
+ *               timezone:
+ *                 type: string
+ *                 example: "Europe/Berlin"
+ *               locale:
+ *                 type: string
+ *                 example: "de-DE"
+ *               notificationPreferences:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error or email already in use
+ *       429:
+ *         description: Too soon since the last verification email
+ */
+router.put('/me', [
+  body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters long'),
+  body('email').optional().isEmail().normalizeEmail().withMessage('Must be a valid email'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Must be a valid IANA time zone'),
+  body('locale').optional().custom(isValidLocale).withMessage('Must be a valid locale'),
+  body('notificationPreferences').optional().isObject().withMessage('Notification preferences must be an object')
+    .custom(preferences => Object.values(preferences).every(value => typeof value === 'boolean'))
+    .withMessage('Notification preferences must be true or false')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const updates = req.body;
+
+    const user = await users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Update profile fields
+    const changes = {};
+    if (updates.name) changes.name = updates.name;
+    if (updates.timezone) changes.timezone = updates.timezone;
+    if (updates.locale) changes.locale = Intl.getCanonicalLocales(updates.locale)[0];
+    if (updates.notificationPreferences) {
+      changes.notificationPreferences = { ...user.notificationPreferences, ...updates.notificationPreferences };
+    }
+
+    // A new address has to be verified before it replaces the current one
+    let newEmail = null;
+    if (updates.email && updates.email !== user.email) {
+      const existingUser = await users.findOne({ email: updates.email });
+      if (existingUser) {
+        return res.status(400).json({ error: 'User with this email already exists' });
+      }
+
+      const waitSeconds = await resendWaitSeconds(user.id);
+      if (waitSeconds > 0) {
+        res.set('Retry-After', String(waitSeconds));
+        return res.status(429).json({ error: `Please wait ${waitSeconds} seconds before changing your email again` });
+      }
+
+      newEmail = updates.email;
+      changes.pendingEmail = newEmail;
+    } else if (updates.email) {
+      // Asking for the current address again cancels a pending change
+      changes.pendingEmail = null;
+    }
+
+    const updatedUser = await users.update(user.id, changes);
+
+    if (newEmail) {
+      await sendVerificationEmail(updatedUser, newEmail);
+    }
+
+    res.json(toPublicUser(updatedUser));
+
+  } catch (error) {
+    console.error('Update account error:', error);
+    res.status(500).json({ error: 'Internal server error while updating account' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   delete:
+ *     summary: Delete the authenticated user's account
+ *     description: Events the user hosts are either transferred to a collaborator or deleted, as chosen with ownedEvents. The user is removed from every event they collaborate on and unassigned from their tasks.
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Current password, to confirm the deletion
+ *               ownedEvents:
+ *                 type: string
+ *                 enum: [transfer, delete]
+ *                 description: Required when the user hosts events
+ *               transfers:
+ *                 type: object
+ *                 description: eventId -> collaborator user ID to become the new host. Defaults to the first collaborator.
+ *                 additionalProperties:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Account deleted; summary of what happened to the user's events
+ *       400:
+ *         description: Validation error, missing ownedEvents choice or events that cannot be transferred
+ *       401:
+ *         description: Password is incorrect
+ */
+router.delete('/me', [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('ownedEvents').optional().isIn(['transfer', 'delete']).withMessage('ownedEvents must be transfer or delete'),
+  body('transfers').optional().isObject().withMessage('transfers must be an object')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, ownedEvents, transfers } = req.body;
+
+    const user = await users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Check password
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    // Decide what happens to hosted events before touching anything
+    const { plan, problems } = await planOwnedEvents(user.id, { ownedEvents: ownedEvents || 'transfer', transfers });
+    const liveEvents = plan.filter(step => !step.event.deletedAt).length + problems.length;
+    if (liveEvents > 0 && !ownedEvents) {
+      return res.status(400).json({ error: 'You host events. Choose whether to transfer or delete them with ownedEvents' });
+    }
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Some events cannot be transferred', events: problems });
+    }
+
+    const summary = await deleteAccount(user, plan);
+
+    res.json(summary);
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Internal server error while deleting account' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requireScope, scopesAllowRead } = require('../middleware/scopes');
+const { authorizeEvent } = require('../middleware/permissions');
+const { roleCan } = require('../services/permissions');
+const { ENTITY_COLLECTIONS, listHistory } = require('../services/audit');
+const { isUnread, toActivities, getLastReadAt, markRead } = require('../services/activity');
+
+const router = express.Router();
+
+// Apply authentication to all activity routes
+router.use(authenticateToken);
+router.use('/:eventId/activity', requireScope('events'));
+
+/**
+ * @swagger
+ * /api/events/{eventId}/activity:
+ *   get:
+ *     summary: Get the activity feed of an event
+ *     description: What happened on the event and its tasks, guests, vendors, expenses and sessions, newest first, as readable messages. Entries by other members made after the caller's read marker are flagged unread.
+ *     tags: [Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [event, task, guest, vendor, expense, session]
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread entries
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Feed page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 unreadCount:
+ *                   type: integer
+ *                 lastReadAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 activities:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Activity'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:eventId/activity', authorizeEvent('events', 'read'), [
+  query('entityType').optional().isIn(Object.keys(ENTITY_COLLECTIONS)).withMessage('Invalid entity type'),
+  query('unread').optional().isBoolean().withMessage('unread must be a boolean value'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('offset must be a non-negative integer')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { eventId } = req.params;
+    const { entityType, actorId } = req.query;
+    const userId = req.user.id;
+    const limit = parseInt(req.query.limit || '50', 10);
+    const offset = parseInt(req.query.offset || '0', 10);
+
+    const lastReadAt = await getLastReadAt(eventId, userId);
+
+    // Changes to resources the user's role or token cannot see are left out
+    const entries = (await listHistory(eventId, { entityType, actorId }))
+      .filter(entry => roleCan(req.eventRole, ENTITY_COLLECTIONS[entry.entityType], 'read')
+        && scopesAllowRead(req.user, ENTITY_COLLECTIONS[entry.entityType]));
+    const unreadEntries = entries.filter(entry => isUnread(entry, lastReadAt, userId));
+    const matching = req.query.unread === 'true' ? unreadEntries : entries;
+
+    res.json({
+      total: matching.length,
+      unreadCount: unreadEntries.length,
+      lastReadAt,
+      activities: await toActivities(matching.slice(offset, offset + limit), lastReadAt, userId)
+    });
+
+  } catch (error) {
+    console.error('Get activity error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching activity' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/activity/read:
+ *   post:
+ *     summary: Mark the activity feed as read
+ *     description: Moves the caller's read marker to the given time, or to now. The marker never moves backwards.
+ *     tags: [Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Timestamp of the newest entry the user has seen
+ *     responses:
+ *       200:
+ *         description: The stored read marker
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Event not found
+ */
+// Read markers are personal, so they move on archived events too
+router.post('/:eventId/activity/read', authorizeEvent('events', 'read', { allowArchived: true }), [
+  body('until').optional().isISO8601().withMessage('until must be a valid date')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const now = new Date();
+    // A marker in the future would hide changes that have not happened yet
+    const until = req.body.until && new Date(req.body.until) < now ? new Date(req.body.until) : now;
+
+    const lastReadAt = await markRead(req.params.eventId, req.user.id, until);
+
+    res.json({ lastReadAt });
+
+  } catch (error) {
+    console.error('Mark activity read error:', error);
+    res.status(500).json({ error: 'Internal server error while marking activity as read' });
+  }
+});
+
+module.exports = router;
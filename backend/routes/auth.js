@@ -1,18 +1,28 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
-const { users } = require('../data/inMemoryDB');
-const { JWT_SECRET } = require('../middleware/auth');
+const { users } = require('../data');
+const { authenticateToken } = require('../middleware/auth');
+const { rejectPersonalAccessTokens } = require('../middleware/scopes');
+const { startSession, rotateRefreshToken, revokeSession, revokeAllSessions } = require('../services/sessions');
+const { issueToken, findToken, consumeToken } = require('../services/oneTimeTokens');
+const { TWO_FACTOR_CHALLENGE_TTL_MINUTES, verifySecondFactor } = require('../services/twoFactor');
+const { sendMail, appLink } = require('../services/mailer');
+const { sendVerificationEmail, resendWaitSeconds, verifyEmail } = require('../services/emailVerification');
+const { loginProtection } = require('../services/loginProtection');
+const { DEFAULT_PROFILE, toPublicUser } = require('../services/accounts');
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+
 /**
  * @swagger
  * /api/auth/signup:
  *   post:
  *     summary: Create a new user account
+ *     description: The account starts unverified and a verification link is emailed to the address.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -69,7 +79,7 @@ router.post('/signup', [
     const { name, email, password } = req.body;
 
     // Check if user already exists
-    const existingUser = users.find(user => user.email === email);
+    const existingUser = await users.findOne({ email });
     if (existingUser) {
       return res.status(400).json({ error: 'User with this email already exists' });
     }
@@ -84,23 +94,29 @@ router.post('/signup', [
       name,
       email,
       password: hashedPassword,
+      emailVerified: false,
+      emailVerifiedAt: null,
+      twoFactorEnabled: false,
+      ...DEFAULT_PROFILE,
       createdAt: new Date()
     };
 
-    users.push(newUser);
+    await users.create(newUser);
+
+    // The account works without it, so a mail failure must not fail signup
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: newUser.id, email: newUser.email },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Open a session with an access and refresh token
+    const tokens = await startSession(newUser, { userAgent: req.get('user-agent'), ip: req.ip });
 
-    // Return user data (without password) and token
-    const { password: _, ...userWithoutPassword } = newUser;
+    // Return user data (without password) and tokens
     res.status(201).json({
-      token,
-      user: userWithoutPassword
+      ...tokens,
+      user: toPublicUser(newUser)
     });
 
   } catch (error) {
@@ -113,7 +129,8 @@ router.post('/signup', [
  * @swagger
  * /api/auth/login:
  *   post:
- *     summary: Authenticate user and get JWT token
+ *     summary: Authenticate user and get access and refresh tokens
+ *     description: Repeated failures slow down further attempts on the account and eventually lock it (and the client IP) for a while. Lockouts that happened since the last login are listed in securityNotices. For accounts with two-factor authentication the response is a challenge to complete at /api/auth/login/2fa instead.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -136,11 +153,13 @@ router.post('/signup', [
  *                 example: "password123"
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a second factor is required
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
  *       400:
  *         description: Validation error
  *         content:
@@ -153,6 +172,8 @@ router.post('/signup', [
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
  *       500:
  *         description: Internal server error
  */
@@ -169,30 +190,48 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
-    // Find user by email
-    const user = users.find(u => u.email === email);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid email or password' });
+    // Refuse attempts on throttled or locked accounts and IPs
+    const attempt = await loginProtection.checkAllowed(email, req.ip);
+    if (!attempt.allowed) {
+      res.set('Retry-After', String(attempt.retryAfterSeconds));
+      const message = attempt.reason === 'throttled'
+        ? 'Too many failed login attempts. Please wait before trying again'
+        : 'Too many failed login attempts. Login is temporarily locked';
+      return res.status(429).json({ error: message, reason: attempt.reason, retryAfterSeconds: attempt.retryAfterSeconds });
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    // Find user by email and check password
+    const user = await users.findOne({ email });
+    const isPasswordValid = user && await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      const { locked } = await loginProtection.recordFailure(email, req.ip, user);
+      if (locked) {
+        return res.status(401).json({ error: 'Invalid email or password. The account is now temporarily locked' });
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // The password alone is not enough when 2FA is on
+    if (user.twoFactorEnabled) {
+      const challengeToken = await issueToken(user.id, 'login-challenge', TWO_FACTOR_CHALLENGE_TTL_MINUTES * 60 * 1000);
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken,
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL_MINUTES * 60
+      });
+    }
+
+    // Reset the failure count and collect lockouts the user has not seen yet
+    const securityNotices = await loginProtection.recordSuccess(email, user);
+
+    // Open a session with an access and refresh token
+    const tokens = await startSession(user, { userAgent: req.get('user-agent'), ip: req.ip });
 
-    // Return user data (without password) and token
-    const { password: _, ...userWithoutPassword } = user;
+    // Return user data (without password) and tokens
     res.json({
-      token,
-      user: userWithoutPassword
+      ...tokens,
+      user: toPublicUser(user),
+      securityNotices
     });
 
   } catch (error) {
@@ -201,4 +240,553 @@ router.post('/login', [
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with a second factor
+ *     description: Takes the challenge token returned by /api/auth/login and either a code from the authenticator app or one of the recovery codes. Wrong codes count as failed logins. The challenge stays valid for further tries until it expires.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Challenge is invalid or expired, or the code is wrong
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
+ */
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isString().withMessage('Code must be a string'),
+  body('recoveryCode').optional().isString().withMessage('Recovery code must be a string'),
+  body().custom(value => Boolean(value.code || value.recoveryCode)).withMessage('Either code or recoveryCode is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = await findToken(challengeToken, 'login-challenge');
+    const user = challenge && await users.findById(challenge.userId);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired' });
+    }
+
+    // Codes are guessable, so they go through the same throttling as passwords
+    const attempt = await loginProtection.checkAllowed(user.email, req.ip);
+    if (!attempt.allowed) {
+      res.set('Retry-After', String(attempt.retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too many failed login attempts. Please wait before trying again',
+        reason: attempt.reason,
+        retryAfterSeconds: attempt.retryAfterSeconds
+      });
+    }
+
+    const verifiedUser = await verifySecondFactor(user, { code, recoveryCode });
+    if (!verifiedUser) {
+      await loginProtection.recordFailure(user.email, req.ip, user);
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    // A challenge completes exactly one login
+    if (!await consumeToken(challengeToken, 'login-challenge')) {
+      return res.status(401).json({ error: 'Login challenge is invalid or has expired' });
+    }
+
+    const securityNotices = await loginProtection.recordSuccess(user.email, verifiedUser);
+
+    const tokens = await startSession(verifiedUser, { userAgent: req.get('user-agent'), ip: req.ip });
+
+    const response = {
+      ...tokens,
+      user: toPublicUser(verifiedUser),
+      securityNotices
+    };
+    if (recoveryCode && !code) {
+      response.recoveryCodesRemaining = verifiedUser.twoFactorRecoveryCodes.length;
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Internal server error during login' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: The refresh token is single-use. Presenting one that was already used revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenPair'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Refresh token is invalid, expired, revoked or reused
+ */
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await rotateRefreshToken(req.body.refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(tokens);
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Internal server error during token refresh' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     description: Revokes the session of the access token used, together with its refresh token.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', authenticateToken, rejectPersonalAccessTokens, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, 'logout');
+
+    res.status(204).send();
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error during logout' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of every session
+ *     description: Revokes all sessions of the authenticated user, including the current one.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 revokedSessions:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', authenticateToken, rejectPersonalAccessTokens, async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.user.id, 'logout_all');
+
+    res.json({ revokedSessions });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error during logout' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always answers the same way so the endpoint cannot be used to find out which emails have accounts. The emailed token is single-use and expires after PASSWORD_RESET_TTL_MINUTES.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "john@example.com"
+ *     responses:
+ *       202:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Must be a valid email')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await users.findOne({ email: req.body.email });
+    if (user) {
+      const token = await issueToken(user.id, 'password-reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+      // A failure here must not show in the response, or it would tell which
+      // emails have an account
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your PlanPilot password',
+          text: `Hi ${user.name},\n\n` +
+            `Someone asked to reset the password of your PlanPilot account. Use the link below within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new one:\n\n` +
+            `${appLink('/reset-password', { token })}\n\n` +
+            'If this was not you, you can ignore this email.'
+        });
+      } catch (error) {
+        console.error('Password reset email error:', error);
+      }
+    }
+
+    res.status(202).json({ message: 'If an account exists for this email, a reset link has been sent' });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error while requesting password reset' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: Consumes the token and logs the account out of every session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: New password (min 6 characters)
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Validation error or invalid/expired token
+ */
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    const resetToken = await consumeToken(token, 'password-reset');
+    if (!resetToken) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    // Hash password
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    await users.update(resetToken.userId, { password: hashedPassword });
+
+    // Whoever knew the old password must not stay logged in
+    await revokeAllSessions(resetToken.userId, 'password_reset');
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error while resetting password' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change the password of the authenticated user
+ *     description: Logs out every existing session and returns tokens for a fresh one.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 description: New password (min 6 characters)
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenPair'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.post('/change-password', authenticateToken, rejectPersonalAccessTokens, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Check password
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    // Hash password
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+    await users.update(user.id, { password: hashedPassword });
+
+    // End every existing session, then hand this client a fresh one
+    await revokeAllSessions(user.id, 'password_change');
+    const tokens = await startSession(user, { userAgent: req.get('user-agent'), ip: req.ip });
+
+    res.json(tokens);
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error while changing password' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify:
+ *   get:
+ *     summary: Confirm an email address
+ *     description: Target of the link in the verification email.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Verification token from the email
+ *     responses:
+ *       200:
+ *         description: Email address verified
+ *       400:
+ *         description: Invalid or expired verification token
+ */
+router.get('/verify', [
+  query('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await verifyEmail(req.query.token);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    res.json({ message: 'Email address verified', email: user.email });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error while verifying email' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify/resend:
+ *   post:
+ *     summary: Send the verification email again
+ *     description: Throttled to one email per VERIFICATION_RESEND_INTERVAL_SECONDS.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email address is already verified
+ *       429:
+ *         description: Too soon since the last email; see the Retry-After header
+ */
+router.post('/verify/resend', authenticateToken, rejectPersonalAccessTokens, async (req, res) => {
+  try {
+    const user = await users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+
+    const waitSeconds = await resendWaitSeconds(user.id);
+    if (waitSeconds > 0) {
+      res.set('Retry-After', String(waitSeconds));
+      return res.status(429).json({ error: `Please wait ${waitSeconds} seconds before requesting another email` });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(202).json({ message: 'Verification email sent' });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error while sending verification email' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/unlock:
+ *   get:
+ *     summary: Unlock an account locked after failed logins
+ *     description: Target of the link in the lockout email.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unlock token from the email
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Invalid or expired unlock token
+ */
+router.get('/unlock', [
+  query('token').isString().notEmpty().withMessage('Unlock token is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const unlocked = await loginProtection.unlockAccount(req.query.token);
+    if (!unlocked) {
+      return res.status(400).json({ error: 'Invalid or expired unlock token' });
+    }
+
+    res.json({ message: 'Account unlocked. You can log in again.' });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ error: 'Internal server error while unlocking account' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
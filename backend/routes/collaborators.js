@@ -0,0 +1,318 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requireScope } = require('../middleware/scopes');
+const { requireVerifiedEmail } = require('../middleware/verification');
+const { authorizeEvent } = require('../middleware/permissions');
+const { users, invitations } = require('../data');
+const { COLLABORATOR_ROLES, DEFAULT_COLLABORATOR_ROLE, roleOf, roleCan } = require('../services/permissions');
+const {
+  isPending,
+  toPublicInvitation,
+  createInvitation,
+  revokeInvitation,
+  removeCollaborator,
+  changeCollaboratorRole
+} = require('../services/invitations');
+
+const router = express.Router();
+
+// Apply authentication to all collaborator routes
+router.use(authenticateToken);
+router.use(['/:eventId/collaborators', '/:eventId/invitations'], requireScope('events'));
+
+// Member details other collaborators may see
+const toMember = (event) => (user) => ({ id: user.id, name: user.name, email: user.email, role: roleOf(event, user.id) });
+
+const roleValidation = () => body('role').isIn(COLLABORATOR_ROLES).withMessage(`Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`);
+
+/**
+ * @swagger
+ * /api/events/{eventId}/collaborators:
+ *   get:
+ *     summary: List the host, collaborators and open invitations of an event
+ *     tags: [Collaborators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event members with their roles; pending invitations are only listed for the host
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:eventId/collaborators', authorizeEvent('collaborators', 'read'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { event } = req;
+
+    const members = await users.find(user => user.id === event.hostId || event.collaborators.includes(user.id));
+    const host = members.find(user => user.id === event.hostId);
+
+    const response = {
+      host: host ? toMember(event)(host) : null,
+      collaborators: members.filter(user => user.id !== event.hostId).map(toMember(event))
+    };
+
+    if (roleCan(req.eventRole, 'collaborators', 'write')) {
+      const eventInvitations = await invitations.find({ eventId });
+      response.invitations = eventInvitations.filter(isPending).map(toPublicInvitation);
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Get collaborators error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching collaborators' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/collaborators:
+ *   post:
+ *     summary: Invite someone to collaborate on an event
+ *     description: Mails an invitation link to the address. The address does not need an account yet. Inviting the same address again replaces the earlier invitation. Only the host can invite, and only with a verified email address.
+ *     tags: [Collaborators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "jane@example.com"
+ *               role:
+ *                 type: string
+ *                 enum: [editor, finance, guest-manager, viewer]
+ *                 default: editor
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Validation error, or the address already belongs to a member
+ *       403:
+ *         description: Only the host can invite, or the host's email is not verified
+ *       404:
+ *         description: Event not found
+ */
+router.post('/:eventId/collaborators', authorizeEvent('collaborators', 'write'), requireVerifiedEmail('invite-collaborators'), [
+  body('email').isEmail().normalizeEmail().withMessage('Must be a valid email'),
+  roleValidation().optional()
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { email, role = DEFAULT_COLLABORATOR_ROLE } = req.body;
+    const { event } = req;
+
+    const invitee = await users.findOne({ email });
+    if (invitee && (invitee.id === event.hostId || event.collaborators.includes(invitee.id))) {
+      return res.status(400).json({ error: 'This person is already a member of the event' });
+    }
+
+    const inviter = await users.findById(userId);
+    const invitation = await createInvitation(event, email, inviter, role);
+
+    res.status(201).json(toPublicInvitation(invitation));
+
+  } catch (error) {
+    console.error('Invite collaborator error:', error);
+    res.status(500).json({ error: 'Internal server error while inviting collaborator' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/collaborators/{userId}:
+ *   put:
+ *     summary: Change a collaborator's role
+ *     tags: [Collaborators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [editor, finance, guest-manager, viewer]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only the host can change roles
+ *       404:
+ *         description: Event or collaborator not found
+ */
+router.put('/:eventId/collaborators/:userId', authorizeEvent('collaborators', 'write'), [roleValidation()], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId: collaboratorId } = req.params;
+    const { event } = req;
+
+    if (!event.collaborators.includes(collaboratorId)) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    const updatedEvent = await changeCollaboratorRole(event, collaboratorId, req.body.role, req.user.id);
+
+    res.json({ userId: collaboratorId, role: roleOf(updatedEvent, collaboratorId) });
+
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({ error: 'Internal server error while changing role' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/collaborators/{userId}:
+ *   delete:
+ *     summary: Remove a collaborator from an event
+ *     description: The host can remove anyone; collaborators can remove themselves to leave the event. Their tasks on the event are unassigned.
+ *     tags: [Collaborators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Collaborator removed
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Event or collaborator not found
+ */
+router.delete('/:eventId/collaborators/:userId', authorizeEvent('collaborators', 'read'), async (req, res) => {
+  try {
+    const { userId: collaboratorId } = req.params;
+    const userId = req.user.id;
+    const { event } = req;
+
+    if (!roleCan(req.eventRole, 'collaborators', 'write') && collaboratorId !== userId) {
+      return res.status(403).json({ error: 'Only the event host can remove other collaborators' });
+    }
+
+    if (!event.collaborators.includes(collaboratorId)) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    await removeCollaborator(event, collaboratorId, userId);
+
+    res.status(204).send();
+
+  } catch (error) {
+    console.error('Remove collaborator error:', error);
+    res.status(500).json({ error: 'Internal server error while removing collaborator' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Collaborators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation is no longer pending
+ *       403:
+ *         description: Only the host can revoke invitations
+ *       404:
+ *         description: Event or invitation not found
+ */
+router.delete('/:eventId/invitations/:invitationId', authorizeEvent('collaborators', 'write'), async (req, res) => {
+  try {
+    const { eventId, invitationId } = req.params;
+
+    const invitation = await invitations.findById(invitationId);
+    if (!invitation || invitation.eventId !== eventId) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if (!isPending(invitation) || !await revokeInvitation(invitation)) {
+      return res.status(400).json({ error: 'Invitation is no longer pending' });
+    }
+
+    res.status(204).send();
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Internal server error while revoking invitation' });
+  }
+});
+
+module.exports = router;
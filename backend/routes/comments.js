@@ -0,0 +1,346 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
+const { authenticateToken } = require('../middleware/auth');
+const { requireScope } = require('../middleware/scopes');
+const { authorizeEvent } = require('../middleware/permissions');
+const db = require('../data');
+const { VersionConflictError } = require('../data/errors');
+const { setETag, expectedVersion, sendVersionConflict } = require('../middleware/concurrency');
+const { resolveMentions, listThreads } = require('../services/comments');
+const { notifyMentions } = require('../services/notifications');
+
+const router = express.Router();
+
+const COMMENTS_PATH = '/:eventId/:resource(tasks|guests|vendors|expenses)/:recordId/comments';
+
+// Apply authentication to all comment routes
+router.use(authenticateToken);
+router.use(COMMENTS_PATH, requireScope(req => req.params.resource));
+
+// Anyone who can see a record can discuss it
+const authorizeRecord = authorizeEvent(req => req.params.resource, 'read');
+
+const bodyValidation = body('body').trim().isLength({ min: 1, max: 5000 }).withMessage('Comment must be between 1 and 5000 characters');
+
+// Find the commented record, or answer 404
+const findRecord = async (req, res) => {
+  const { eventId, resource, recordId } = req.params;
+  const record = await db[resource].findOne({ id: recordId, eventId });
+  if (!record) {
+    res.status(404).json({ error: 'Record not found' });
+  }
+  return record;
+};
+
+/**
+ * @swagger
+ * /api/events/{eventId}/{resource}/{recordId}/comments:
+ *   get:
+ *     summary: List the comment threads on a task, guest, vendor or expense
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: resource
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [tasks, guests, vendors, expenses]
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Threads, oldest first, each with its replies. Deleted comments that have replies are kept as placeholders.
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Event or record not found
+ */
+router.get(COMMENTS_PATH, authorizeRecord, async (req, res) => {
+  try {
+    const { resource, recordId } = req.params;
+
+    if (!await findRecord(req, res)) return;
+
+    const threads = await listThreads(resource, recordId);
+
+    res.json(threads);
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching comments' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/{resource}/{recordId}/comments:
+ *   post:
+ *     summary: Comment on a task, guest, vendor or expense
+ *     description: Mention event members by writing @ followed by their email address. Pass parentId to reply to a thread.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: resource
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [tasks, guests, vendors, expenses]
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 example: "@jane@example.com can you confirm the menu?"
+ *               parentId:
+ *                 type: string
+ *                 description: Comment that starts the thread being replied to
+ *     responses:
+ *       201:
+ *         description: Comment created
+ *       400:
+ *         description: Validation error or parent comment cannot be replied to
+ *       404:
+ *         description: Event or record not found
+ */
+router.post(COMMENTS_PATH, authorizeRecord, [
+  bodyValidation,
+  body('parentId').optional({ nullable: true }).isString().withMessage('Invalid parent comment ID')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { eventId, resource, recordId } = req.params;
+    const { body: text, parentId } = req.body;
+
+    if (!await findRecord(req, res)) return;
+
+    // Replies go on the comment that starts a thread
+    if (parentId) {
+      const parent = await db.comments.findOne({ id: parentId, resource, recordId });
+      if (!parent || parent.parentId) {
+        return res.status(400).json({ error: 'Replies must be made to a comment that starts a thread' });
+      }
+    }
+
+    const newComment = {
+      id: uuidv4(),
+      eventId,
+      resource,
+      recordId,
+      parentId: parentId || null,
+      authorId: req.user.id,
+      body: text,
+      mentions: await resolveMentions(text, req.event),
+      editedAt: null,
+      version: 1,
+      createdAt: new Date()
+    };
+
+    await db.comments.create(newComment);
+    await notifyMentions(newComment, [], req.event);
+
+    setETag(res, newComment);
+    res.status(201).json(newComment);
+
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({ error: 'Internal server error while creating comment' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/{resource}/{recordId}/comments/{commentId}:
+ *   put:
+ *     summary: Edit a comment
+ *     description: Only the author can edit. Mentions are worked out again from the new text.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: resource
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [tasks, guests, vendors, expenses]
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment updated
+ *       403:
+ *         description: Only the author can edit this comment
+ *       404:
+ *         description: Comment not found
+ *       409:
+ *         description: Version conflict
+ */
+router.put(`${COMMENTS_PATH}/:commentId`, authorizeRecord, [bodyValidation], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { resource, recordId, commentId } = req.params;
+
+    const comment = await db.comments.findOne({ id: commentId, resource, recordId });
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.authorId !== req.user.id) {
+      return res.status(403).json({ error: 'Only the author can edit this comment' });
+    }
+
+    const changes = {
+      body: req.body.body,
+      mentions: await resolveMentions(req.body.body, req.event),
+      editedAt: new Date()
+    };
+
+    // Only write if the client saw the latest version (If-Match)
+    const updatedComment = await db.comments.update(comment.id, changes, { expectedVersion: expectedVersion(req) });
+    await notifyMentions(updatedComment, comment.mentions, req.event);
+
+    setETag(res, updatedComment);
+    res.json(updatedComment);
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
+    console.error('Update comment error:', error);
+    res.status(500).json({ error: 'Internal server error while updating comment' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/{resource}/{recordId}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     description: Only the author can delete. Replies to a deleted comment stay visible.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: resource
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [tasks, guests, vendors, expenses]
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Comment deleted
+ *       403:
+ *         description: Only the author can delete this comment
+ *       404:
+ *         description: Comment not found
+ */
+router.delete(`${COMMENTS_PATH}/:commentId`, authorizeRecord, async (req, res) => {
+  try {
+    const { resource, recordId, commentId } = req.params;
+
+    const comment = await db.comments.findOne({ id: commentId, resource, recordId });
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.authorId !== req.user.id) {
+      return res.status(403).json({ error: 'Only the author can delete this comment' });
+    }
+
+    await db.comments.softRemove(comment.id, { deletedBy: req.user.id }, { expectedVersion: expectedVersion(req) });
+
+    res.status(204).send();
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Internal server error while deleting comment' });
+  }
+});
+
+module.exports = router;
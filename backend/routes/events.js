@@ -1,13 +1,51 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const { authenticateToken } = require('../middleware/auth');
-const { events, users } = require('../data/inMemoryDB');
+const { requireScope, scopesAllowRead } = require('../middleware/scopes');
+const { authorizeEvent } = require('../middleware/permissions');
+const { roleOf, roleCan } = require('../services/permissions');
+const { events } = require('../data');
+const { EVENT_RESOURCES, removeEventCascade, trashEventCascade } = require('../services/eventCleanup');
+const { settleDispatches } = require('../services/webhooks');
+const { VersionConflictError } = require('../data/errors');
+const { setETag, expectedVersion, isStale, sendVersionConflict } = require('../middleware/concurrency');
+const { recordChange } = require('../services/audit');
+const { findTemplate, applyTemplate } = require('../services/templates');
+const { cloneEvent } = require('../services/eventCloning');
+const {
+  EVENT_STATUSES,
+  DEFAULT_EVENT_STATUS,
+  StatusTransitionError,
+  statusOf,
+  changeStatus
+} = require('../services/eventLifecycle');
+const { requireVerifiedEmail } = require('../middleware/verification');
+const {
+  PROGRESS_COMPONENTS,
+  DEFAULT_PROGRESS_WEIGHTS,
+  weightsOf,
+  calculateProgressBreakdown,
+  calculateEventProgress
+} = require('../services/progress');
 
 const router = express.Router();
 
 // Apply authentication to all event routes
 router.use(authenticateToken);
+router.all(['/', '/:eventId', '/:eventId/progress', '/:eventId/clone', '/:eventId/status'], requireScope('events'));
+
+// Progress only counts what the user's role and token can read
+const progressReader = (user, role) => ({
+  canRead: (resource) => roleCan(role, resource, 'read') && scopesAllowRead(user, resource)
+});
+
+// Weights for some or all progress components, e.g. { "tasks": 70, "budget": 0 }
+const progressWeightsValidation = () => body('progressWeights').optional().isObject().withMessage('Progress weights must be an object')
+  .custom(weights => Object.entries(weights).every(([component, weight]) =>
+    Object.keys(PROGRESS_COMPONENTS).includes(component) && Number.isInteger(weight) && weight >= 0 && weight <= 100
+  ))
+  .withMessage(`Progress weights map ${Object.keys(PROGRESS_COMPONENTS).join(', ')} to whole numbers from 0 to 100`);
 
 /**
  * @swagger
@@ -41,6 +79,15 @@ router.use(authenticateToken);
  *               description:
  *                 type: string
  *                 example: "Beautiful summer wedding celebration"
+ *               progressWeights:
+ *                 type: object
+ *                 description: Weight (0-100) of the tasks, rsvp, vendors and budget progress components
+ *                 example: { "tasks": 70, "budget": 0 }
+ *               templateId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Template whose tasks, expenses and vendor slots are added to the event, e.g. the built-in one for its type. Without it the event starts empty.
+ *                 example: "builtin-wedding"
  *     responses:
  *       201:
  *         description: Event created successfully
@@ -57,7 +104,9 @@ router.post('/', [
   body('name').trim().isLength({ min: 1 }).withMessage('Event name is required'),
   body('type').trim().isLength({ min: 1 }).withMessage('Event type is required'),
   body('date').isISO8601().withMessage('Valid date is required'),
-  body('description').optional().trim()
+  body('description').optional().trim(),
+  progressWeightsValidation(),
+  body('templateId').optional({ nullable: true }).isString().withMessage('Invalid template ID')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -66,9 +115,15 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, type, date, description } = req.body;
+    const { name, type, date, description, progressWeights, templateId } = req.body;
     const hostId = req.user.id;
 
+    // Events start empty unless a template is asked for
+    const template = templateId ? await findTemplate(templateId, hostId) : null;
+    if (templateId && !template) {
+      return res.status(400).json({ error: 'Template not found' });
+    }
+
     // Create new event
     const newEvent = {
       id: uuidv4(),
@@ -78,13 +133,24 @@ router.post('/', [
       description: description || '',
       hostId,
       collaborators: [],
+      roles: {},
       vendors: [],
+      progressWeights: { ...DEFAULT_PROGRESS_WEIGHTS, ...progressWeights },
+      templateId: template ? template.id : null,
+      status: DEFAULT_EVENT_STATUS,
+      statusChangedAt: new Date(),
+      version: 1,
       createdAt: new Date()
     };
 
-    events.push(newEvent);
+    await events.create(newEvent);
+    await recordChange({ actorId: hostId, eventId: newEvent.id, entityType: 'event', action: 'create', after: newEvent });
+    if (template) {
+      await applyTemplate(template, newEvent, hostId);
+    }
 
     // Return event data
+    setETag(res, newEvent);
     res.status(201).json(newEvent);
 
   } catch (error) {
@@ -101,6 +167,12 @@ router.post('/', [
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated statuses to list, e.g. "Planning,Confirmed". Without it every event but archived ones is listed.
  *     responses:
  *       200:
  *         description: List of user events
@@ -120,28 +192,50 @@ router.post('/', [
  *                   date:
  *                     type: string
  *                     format: date
+ *                   role:
+ *                     type: string
+ *                     enum: [owner, editor, finance, guest-manager, viewer]
+ *                   status:
+ *                     type: string
+ *                     enum: [Draft, Planning, Confirmed, Live, Completed, Cancelled, Archived]
  *                   progress:
- *                     type: number
+ *                     type: integer
+ *                     description: 0-100, see GET /api/events/{eventId}/progress
  *       401:
  *         description: Unauthorized
  */
-router.get('/', async (req, res) => {
+router.get('/', [
+  query('status').optional()
+    .customSanitizer(value => String(value).split(',').map(status => status.trim()).filter(Boolean))
+    .custom(statuses => statuses.length > 0 && statuses.every(status => EVENT_STATUSES.includes(status)))
+    .withMessage(`status must list one or more of ${EVENT_STATUSES.join(', ')}`)
+], async (req, res) => {
   try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const userId = req.user.id;
+    // Archived events are out of the way unless asked for
+    const statuses = req.query.status || EVENT_STATUSES.filter(status => status !== 'Archived');
 
     // Get events where user is host or collaborator
-    const userEvents = events.filter(event => 
-      event.hostId === userId || event.collaborators.includes(userId)
+    const userEvents = await events.find(event => 
+      (event.hostId === userId || event.collaborators.includes(userId)) && statuses.includes(statusOf(event))
     );
 
     // Return simplified event data for list view
-    const eventList = userEvents.map(event => ({
+    const eventList = await Promise.all(userEvents.map(async (event) => ({
       id: event.id,
       name: event.name,
       type: event.type,
       date: event.date,
-      progress: calculateEventProgress(event.id) // Helper function
-    }));
+      role: roleOf(event, userId),
+      status: statusOf(event),
+      progress: await calculateEventProgress(event, progressReader(req.user, roleOf(event, userId)))
+    })));
 
     res.json(eventList);
 
@@ -178,22 +272,11 @@ router.get('/', async (req, res) => {
  *       403:
  *         description: Access denied
  */
-router.get('/:eventId', async (req, res) => {
+router.get('/:eventId', authorizeEvent('events', 'read'), async (req, res) => {
   try {
-    const { eventId } = req.params;
-    const userId = req.user.id;
-
-    // Find the event
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    // Check if user has access to this event
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
+    const { event } = req;
 
+    setETag(res, event);
     res.json(event);
 
   } catch (error) {
@@ -203,11 +286,12 @@ router.get('/:eventId', async (req, res) => {
 });
 
 // Update Event
-router.put('/:eventId', [
+router.put('/:eventId', authorizeEvent('events', 'write'), [
   body('name').optional().trim().isLength({ min: 1 }).withMessage('Event name cannot be empty'),
   body('type').optional().trim().isLength({ min: 1 }).withMessage('Event type cannot be empty'),
   body('date').optional().isISO8601().withMessage('Valid date is required'),
-  body('description').optional().trim()
+  body('description').optional().trim(),
+  progressWeightsValidation()
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -219,57 +303,131 @@ router.put('/:eventId', [
     const { eventId } = req.params;
     const userId = req.user.id;
     const updates = req.body;
-
-    // Find the event
-    const eventIndex = events.findIndex(e => e.id === eventId);
-    if (eventIndex === -1) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    const event = events[eventIndex];
-
-    // Check if user is the host
-    if (event.hostId !== userId) {
-      return res.status(403).json({ error: 'Only the event host can update this event' });
-    }
+    const { event } = req;
 
     // Update event fields
-    if (updates.name) event.name = updates.name;
-    if (updates.type) event.type = updates.type;
-    if (updates.date) event.date = new Date(updates.date);
-    if (updates.description !== undefined) event.description = updates.description;
+    const changes = {};
+    if (updates.name) changes.name = updates.name;
+    if (updates.type) changes.type = updates.type;
+    if (updates.date) changes.date = new Date(updates.date);
+    if (updates.description !== undefined) changes.description = updates.description;
+    if (updates.progressWeights) changes.progressWeights = { ...weightsOf(event), ...updates.progressWeights };
 
-    res.json(event);
+    // Only write if the client saw the latest version (If-Match)
+    const updatedEvent = await events.update(eventId, changes, { expectedVersion: expectedVersion(req) });
+    await recordChange({ actorId: userId, eventId, entityType: 'event', action: 'update', before: event, after: updatedEvent });
+
+    setETag(res, updatedEvent);
+    res.json(updatedEvent);
 
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
     console.error('Update event error:', error);
     res.status(500).json({ error: 'Internal server error while updating event' });
   }
 });
 
-// Delete Event
-router.delete('/:eventId', async (req, res) => {
+/**
+ * @swagger
+ * /api/events/{eventId}:
+ *   delete:
+ *     summary: Delete an event and everything attached to it
+ *     description: Moves the event together with its tasks, guests, vendors, expenses and sessions to the trash, from where it can be restored until the retention window passes. With permanent=true everything is removed immediately; with archive=true the records are kept in the archive collections instead.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *       - in: query
+ *         name: archive
+ *         schema:
+ *           type: boolean
+ *         description: Archive the event and its records instead of deleting them
+ *       - in: query
+ *         name: permanent
+ *         schema:
+ *           type: boolean
+ *         description: Skip the trash and delete everything immediately
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from a previous GET; the delete is refused if the event changed since
+ *     responses:
+ *       200:
+ *         description: Summary of the removed records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 eventId:
+ *                   type: string
+ *                 mode:
+ *                   type: string
+ *                   enum: [trashed, deleted, archived]
+ *                 removed:
+ *                   type: object
+ *                   properties:
+ *                     tasks:
+ *                       type: integer
+ *                     guests:
+ *                       type: integer
+ *                     vendors:
+ *                       type: integer
+ *                     expenses:
+ *                       type: integer
+ *       403:
+ *         description: Only the event host can delete this event
+ *       404:
+ *         description: Event not found
+ *       412:
+ *         description: The event was modified since the ETag was issued; the body contains its current state
+ */
+router.delete('/:eventId', authorizeEvent('events', 'write'), [
+  query('archive').optional().isBoolean().withMessage('archive must be a boolean value'),
+  query('permanent').optional().isBoolean().withMessage('permanent must be a boolean value')
+], async (req, res) => {
   try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { eventId } = req.params;
     const userId = req.user.id;
+    const { event } = req;
 
-    // Find the event
-    const eventIndex = events.findIndex(e => e.id === eventId);
-    if (eventIndex === -1) {
-      return res.status(404).json({ error: 'Event not found' });
+    // Refuse to delete an event the client has not seen in its latest state
+    if (isStale(req, event)) {
+      return sendVersionConflict(res, event);
     }
 
-    const event = events[eventIndex];
+    const archive = req.query.archive === 'true';
+    const permanent = req.query.permanent === 'true';
 
-    // Check if user is the host
-    if (event.hostId !== userId) {
-      return res.status(403).json({ error: 'Only the event host can delete this event' });
-    }
+    // Announce the delete first: removing the event takes its webhooks along,
+    // so event.deleted has to reach them before that happens
+    await recordChange({ actorId: userId, eventId, entityType: 'event', action: 'delete', before: event });
 
-    // Remove event from array
-    events.splice(eventIndex, 1);
+    // Remove the event along with its tasks, guests, vendors, expenses and sessions
+    let summary;
+    if (archive || permanent) {
+      await settleDispatches(eventId);
+      summary = await removeEventCascade(event, { archive });
+    } else {
+      summary = await trashEventCascade(event, userId);
+    }
 
-    res.status(204).send();
+    res.json(summary);
 
   } catch (error) {
     console.error('Delete event error:', error);
@@ -277,11 +435,266 @@ router.delete('/:eventId', async (req, res) => {
   }
 });
 
-// Helper function to calculate event progress
-function calculateEventProgress(eventId) {
-  // This would typically calculate based on completed tasks
-  // For now, return a random progress value
-  return Math.floor(Math.random() * 100);
-}
+/**
+ * @swagger
+ * /api/events/{eventId}/progress:
+ *   get:
+ *     summary: Explain the progress of an event
+ *     description: |
+ *       Progress is the weighted average of four ratios: completed tasks (counted by task weight), guests who answered their RSVP, confirmed vendors and the paid share of expense amounts. Weights default to tasks 50, rsvp 20, vendors 15, budget 15 and can be changed with progressWeights on PUT /api/events/{eventId}.
+ *
+ *       Components with nothing to measure are listed with a null ratio and do not count towards the figure. Components built from records the caller's role or token cannot read are not listed at all and do not count either. The weights of the components that do count are scaled up to fill the whole.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Progress and its breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 progress:
+ *                   type: integer
+ *                   example: 62
+ *                 components:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       weight:
+ *                         type: integer
+ *                       done:
+ *                         type: number
+ *                       total:
+ *                         type: number
+ *                       ratio:
+ *                         type: number
+ *                         nullable: true
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:eventId/progress', authorizeEvent('events', 'read'), async (req, res) => {
+  try {
+    const { progress, components } = await calculateProgressBreakdown(req.event, progressReader(req.user, req.eventRole));
+
+    res.json({ progress, components });
+
+  } catch (error) {
+    console.error('Get event progress error:', error);
+    res.status(500).json({ error: 'Internal server error while calculating progress' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/clone:
+ *   post:
+ *     summary: Copy an event to a new date
+ *     description: |
+ *       Creates a new event owned by the caller with the chosen parts of the source event. Task due dates and session times move by the difference between the two event dates; tasks restart as To-Do, guests as Pending, expenses as unpaid and vendors as unconfirmed. Tasks and sessions keep their assignee or responsible member only when it is the caller, and sessions keep only the vendors that were copied too. Collaborators, comments and webhooks are not copied.
+ *
+ *       include defaults to every part the caller's role can read; asking for a part the role cannot read is refused.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-10-15"
+ *               name:
+ *                 type: string
+ *                 description: Defaults to the source name followed by "(copy)"
+ *               include:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [tasks, guests, vendors, expenses, agendaSessions]
+ *     responses:
+ *       201:
+ *         description: Event copied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 event:
+ *                   $ref: '#/components/schemas/Event'
+ *                 idMap:
+ *                   type: object
+ *                   description: Per collection (events, tasks, guests, vendors, expenses, agendaSessions), source record ID -> new record ID
+ *                   example: { events: { "source-event-uuid": "new-event-uuid" }, tasks: { "source-task-uuid": "new-task-uuid" } }
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied, or the role cannot read a requested part
+ *       404:
+ *         description: Event not found
+ */
+router.post('/:eventId/clone', authorizeEvent('events', 'read', { allowArchived: true }), [
+  body('date').isISO8601().withMessage('Valid date is required'),
+  body('name').optional().trim().isLength({ min: 1 }).withMessage('Event name cannot be empty'),
+  body('include').optional().isArray().withMessage('include must be an array'),
+  body('include.*').isIn(EVENT_RESOURCES).withMessage(`include may only contain ${EVENT_RESOURCES.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { event, eventRole } = req;
+    const readable = EVENT_RESOURCES.filter(resource => roleCan(eventRole, resource, 'read'));
+    const include = req.body.include || readable;
+
+    const hidden = include.filter(resource => !readable.includes(resource));
+    if (hidden.length > 0) {
+      return res.status(403).json({ error: `Your role on this event (${eventRole}) cannot copy ${hidden.join(', ')}` });
+    }
+
+    const { event: newEvent, idMap } = await cloneEvent(event, req.user.id, {
+      name: req.body.name || `${event.name} (copy)`,
+      date: new Date(req.body.date),
+      include
+    });
+
+    setETag(res, newEvent);
+    res.status(201).json({ event: newEvent, idMap });
+
+  } catch (error) {
+    console.error('Clone event error:', error);
+    res.status(500).json({ error: 'Internal server error while copying event' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/status:
+ *   post:
+ *     summary: Move an event to another lifecycle status
+ *     description: |
+ *       Allowed steps: Draft -> Planning or Cancelled; Planning -> Draft, Confirmed or Cancelled; Confirmed -> Planning, Live or Cancelled; Live -> Completed or Cancelled; Completed -> Archived; Cancelled -> Planning or Archived; Archived -> the status it was archived from.
+ *
+ *       Cancelling puts To-Do and In Progress tasks On Hold and, with notifyGuests, mails every guest (needs a verified email address). Archived events are read-only until they are taken out of the archive.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Draft, Planning, Confirmed, Live, Completed, Cancelled, Archived]
+ *               notifyGuests:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Cancellation only
+ *               reason:
+ *                 type: string
+ *                 description: Added to the cancellation mail
+ *                 example: "The venue flooded; we will share a new date soon."
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 event:
+ *                   $ref: '#/components/schemas/Event'
+ *                 tasksOnHold:
+ *                   type: integer
+ *                 guestsNotified:
+ *                   type: integer
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied or email address not verified
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: The step is not allowed from the current status (the body lists the allowed ones), or version conflict
+ */
+router.post('/:eventId/status', authorizeEvent('events', 'write', { allowArchived: true }), [
+  body('status').isIn(EVENT_STATUSES).withMessage(`Status must be one of ${EVENT_STATUSES.join(', ')}`),
+  body('notifyGuests').optional().isBoolean().withMessage('notifyGuests must be a boolean value').toBoolean(),
+  body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters')
+], (req, res, next) => (
+  // Mailing guests is only open to verified accounts
+  req.body.status === 'Cancelled' && req.body.notifyGuests === true
+    ? requireVerifiedEmail('email-guests')(req, res, next)
+    : next()
+), async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, notifyGuests, reason } = req.body;
+
+    const outcome = await changeStatus(req.event, status, req.user.id, {
+      expectedVersion: expectedVersion(req),
+      notifyGuests: status === 'Cancelled' && Boolean(notifyGuests),
+      reason
+    });
+
+    setETag(res, outcome.event);
+    res.json(outcome);
+
+  } catch (error) {
+    if (error instanceof StatusTransitionError) {
+      return res.status(409).json({ error: error.message, status: error.from, allowed: error.allowed });
+    }
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
+    console.error('Change event status error:', error);
+    res.status(500).json({ error: 'Internal server error while changing event status' });
+  }
+});
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
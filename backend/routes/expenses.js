@@ -2,12 +2,18 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const { authenticateToken } = require('../middleware/auth');
-const { expenses, events } = require('../data/inMemoryDB');
+const { requireScope } = require('../middleware/scopes');
+const { authorizeEvent } = require('../middleware/permissions');
+const { expenses } = require('../data');
+const { VersionConflictError } = require('../data/errors');
+const { setETag, expectedVersion, sendVersionConflict } = require('../middleware/concurrency');
+const { recordChange } = require('../services/audit');
 
 const router = express.Router();
 
 // Apply authentication to all expense routes
 router.use(authenticateToken);
+router.use('/:eventId/expenses', requireScope('expenses'));
 
 /**
  * @swagger
@@ -61,7 +67,7 @@ router.use(authenticateToken);
  *       404:
  *         description: Event not found
  */
-router.post('/:eventId/expenses', [
+router.post('/:eventId/expenses', authorizeEvent('expenses', 'write'), [
   body('name').trim().isLength({ min: 1 }).withMessage('Expense name is required'),
   body('category').trim().isLength({ min: 1 }).withMessage('Expense category is required'),
   body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
@@ -78,16 +84,6 @@ router.post('/:eventId/expenses', [
     const { name, category, amount, isPaid } = req.body;
     const userId = req.user.id;
 
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
-
     // Create new expense
     const newExpense = {
       id: uuidv4(),
@@ -96,13 +92,16 @@ router.post('/:eventId/expenses', [
       amount: parseFloat(amount),
       isPaid: Boolean(isPaid),
       eventId,
+      version: 1,
       createdAt: new Date()
     };
 
-    expenses.push(newExpense);
+    await expenses.create(newExpense);
+    await recordChange({ actorId: userId, eventId, entityType: 'expense', action: 'create', after: newExpense });
 
     // Return expense data (without internal fields)
     const { eventId: _, createdAt: __, ...expenseResponse } = newExpense;
+    setETag(res, newExpense);
     res.status(201).json(expenseResponse);
 
   } catch (error) {
@@ -150,23 +149,12 @@ router.post('/:eventId/expenses', [
  *       404:
  *         description: Event not found
  */
-router.get('/:eventId/expenses', async (req, res) => {
+router.get('/:eventId/expenses', authorizeEvent('expenses', 'read'), async (req, res) => {
   try {
     const { eventId } = req.params;
-    const userId = req.user.id;
-
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
 
     // Get expenses for this event
-    const eventExpenses = expenses.filter(expense => expense.eventId === eventId);
+    const eventExpenses = await expenses.find({ eventId });
 
     // Calculate budget summary
     const totalBudget = eventExpenses.reduce((sum, expense) => sum + expense.amount, 0);
@@ -200,29 +188,19 @@ router.get('/:eventId/expenses', async (req, res) => {
 });
 
 // Get a Specific Expense
-router.get('/:eventId/expenses/:expenseId', async (req, res) => {
+router.get('/:eventId/expenses/:expenseId', authorizeEvent('expenses', 'read'), async (req, res) => {
   try {
     const { eventId, expenseId } = req.params;
-    const userId = req.user.id;
-
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
 
     // Find the expense
-    const expense = expenses.find(e => e.id === expenseId && e.eventId === eventId);
+    const expense = await expenses.findOne({ id: expenseId, eventId });
     if (!expense) {
       return res.status(404).json({ error: 'Expense not found' });
     }
 
     // Return expense data (without internal fields)
     const { eventId: _, createdAt: __, ...expenseResponse } = expense;
+    setETag(res, expense);
     res.json(expenseResponse);
 
   } catch (error) {
@@ -232,7 +210,7 @@ router.get('/:eventId/expenses/:expenseId', async (req, res) => {
 });
 
 // Update an Expense
-router.put('/:eventId/expenses/:expenseId', [
+router.put('/:eventId/expenses/:expenseId', authorizeEvent('expenses', 'write'), [
   body('name').optional().trim().isLength({ min: 1 }).withMessage('Expense name cannot be empty'),
   body('category').optional().trim().isLength({ min: 1 }).withMessage('Expense category cannot be empty'),
   body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
@@ -249,90 +227,70 @@ router.put('/:eventId/expenses/:expenseId', [
     const userId = req.user.id;
     const updates = req.body;
 
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
-
     // Find the expense
-    const expenseIndex = expenses.findIndex(e => e.id === expenseId && e.eventId === eventId);
-    if (expenseIndex === -1) {
+    const expense = await expenses.findOne({ id: expenseId, eventId });
+    if (!expense) {
       return res.status(404).json({ error: 'Expense not found' });
     }
 
-    const expense = expenses[expenseIndex];
-
     // Update expense fields
-    if (updates.name) expense.name = updates.name;
-    if (updates.category) expense.category = updates.category;
-    if (updates.amount !== undefined) expense.amount = parseFloat(updates.amount);
-    if (updates.isPaid !== undefined) expense.isPaid = Boolean(updates.isPaid);
+    const changes = {};
+    if (updates.name) changes.name = updates.name;
+    if (updates.category) changes.category = updates.category;
+    if (updates.amount !== undefined) changes.amount = parseFloat(updates.amount);
+    if (updates.isPaid !== undefined) changes.isPaid = Boolean(updates.isPaid);
+
+    // Only write if the client saw the latest version (If-Match)
+    const updatedExpense = await expenses.update(expense.id, changes, { expectedVersion: expectedVersion(req) });
+    await recordChange({ actorId: userId, eventId, entityType: 'expense', action: 'update', before: expense, after: updatedExpense });
 
     // Return updated expense data (without internal fields)
-    const { eventId: _, createdAt: __, ...expenseResponse } = expense;
+    const { eventId: _, createdAt: __, ...expenseResponse } = updatedExpense;
+    setETag(res, updatedExpense);
     res.json(expenseResponse);
 
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
     console.error('Update expense error:', error);
     res.status(500).json({ error: 'Internal server error while updating expense' });
   }
 });
 
 // Delete an Expense
-router.delete('/:eventId/expenses/:expenseId', async (req, res) => {
+router.delete('/:eventId/expenses/:expenseId', authorizeEvent('expenses', 'write'), async (req, res) => {
   try {
     const { eventId, expenseId } = req.params;
     const userId = req.user.id;
 
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
-
-    // Find and remove the expense
-    const expenseIndex = expenses.findIndex(e => e.id === expenseId && e.eventId === eventId);
-    if (expenseIndex === -1) {
+    // Find the expense and move it to the trash
+    const expense = await expenses.findOne({ id: expenseId, eventId });
+    if (!expense) {
       return res.status(404).json({ error: 'Expense not found' });
     }
 
-    expenses.splice(expenseIndex, 1);
+    await expenses.softRemove(expense.id, { deletedBy: userId }, { expectedVersion: expectedVersion(req) });
+    await recordChange({ actorId: userId, eventId, entityType: 'expense', action: 'delete', before: expense });
 
     res.status(204).send();
 
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
     console.error('Delete expense error:', error);
     res.status(500).json({ error: 'Internal server error while deleting expense' });
   }
 });
 
 // Get Budget Summary
-router.get('/:eventId/expenses/summary/budget', async (req, res) => {
+router.get('/:eventId/expenses/summary/budget', authorizeEvent('expenses', 'read'), async (req, res) => {
   try {
     const { eventId } = req.params;
-    const userId = req.user.id;
-
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
 
     // Get expenses for this event
-    const eventExpenses = expenses.filter(expense => expense.eventId === eventId);
+    const eventExpenses = await expenses.find({ eventId });
 
     // Calculate budget summary
     const totalBudget = eventExpenses.reduce((sum, expense) => sum + expense.amount, 0);
@@ -2,12 +2,19 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const { authenticateToken } = require('../middleware/auth');
-const { guests, events } = require('../data/inMemoryDB');
+const { requireScope } = require('../middleware/scopes');
+const { authorizeEvent } = require('../middleware/permissions');
+const { guests } = require('../data');
+const { VersionConflictError } = require('../data/errors');
+const { setETag, expectedVersion, sendVersionConflict } = require('../middleware/concurrency');
+const { recordChange } = require('../services/audit');
+const { notifyGuestRsvp } = require('../services/notifications');
 
 const router = express.Router();
 
 // Apply authentication to all guest routes
 router.use(authenticateToken);
+router.use('/:eventId/guests', requireScope('guests'));
 
 /**
  * @swagger
@@ -56,11 +63,11 @@ router.use(authenticateToken);
  *             schema:
  *               $ref: '#/components/schemas/Guest'
  *       400:
- *         description: Validation error or guest already exists
+ *         description: Validation error, or a guest with this email already exists or is in the trash
  *       404:
  *         description: Event not found
  */
-router.post('/:eventId/guests', [
+router.post('/:eventId/guests', authorizeEvent('guests', 'write'), [
   body('name').trim().isLength({ min: 1 }).withMessage('Guest name is required'),
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
   body('plusOne').optional().isInt({ min: 0 }).withMessage('Plus one count must be a non-negative integer'),
@@ -77,20 +84,14 @@ router.post('/:eventId/guests', [
     const { name, email, plusOne, notes } = req.body;
     const userId = req.user.id;
 
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
-
-    // Check if guest already exists for this event
-    const existingGuest = guests.find(g => g.eventId === eventId && g.email === email);
+    // Check if guest already exists for this event. One in the trash counts
+    // too, since restoring it would clash with the new one
+    const existingGuest = await guests.findOne({ eventId, email }, { withDeleted: true });
     if (existingGuest) {
-      return res.status(400).json({ error: 'Guest with this email already exists for this event' });
+      const error = existingGuest.deletedAt
+        ? 'A guest with this email is in the trash; restore it instead'
+        : 'Guest with this email already exists for this event';
+      return res.status(400).json({ error });
     }
 
     // Create new guest
@@ -102,13 +103,16 @@ router.post('/:eventId/guests', [
       notes: notes || '',
       rsvpStatus: 'Pending',
       eventId,
+      version: 1,
       createdAt: new Date()
     };
 
-    guests.push(newGuest);
+    await guests.create(newGuest);
+    await recordChange({ actorId: userId, eventId, entityType: 'guest', action: 'create', after: newGuest });
 
     // Return guest data (without internal fields)
     const { eventId: _, createdAt: __, ...guestResponse } = newGuest;
+    setETag(res, newGuest);
     res.status(201).json(guestResponse);
 
   } catch (error) {
@@ -155,23 +159,12 @@ router.post('/:eventId/guests', [
  *       404:
  *         description: Event not found
  */
-router.get('/:eventId/guests', async (req, res) => {
+router.get('/:eventId/guests', authorizeEvent('guests', 'read'), async (req, res) => {
   try {
     const { eventId } = req.params;
-    const userId = req.user.id;
-
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
 
     // Get guests for this event
-    const eventGuests = guests.filter(guest => guest.eventId === eventId);
+    const eventGuests = await guests.find({ eventId });
 
     // Return guest list data
     const guestList = eventGuests.map(guest => ({
@@ -191,29 +184,19 @@ router.get('/:eventId/guests', async (req, res) => {
 });
 
 // Get a Specific Guest
-router.get('/:eventId/guests/:guestId', async (req, res) => {
+router.get('/:eventId/guests/:guestId', authorizeEvent('guests', 'read'), async (req, res) => {
   try {
     const { eventId, guestId } = req.params;
-    const userId = req.user.id;
-
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
 
     // Find the guest
-    const guest = guests.find(g => g.id === guestId && g.eventId === eventId);
+    const guest = await guests.findOne({ id: guestId, eventId });
     if (!guest) {
       return res.status(404).json({ error: 'Guest not found' });
     }
 
     // Return guest data (without internal fields)
     const { eventId: _, createdAt: __, ...guestResponse } = guest;
+    setETag(res, guest);
     res.json(guestResponse);
 
   } catch (error) {
@@ -223,7 +206,7 @@ router.get('/:eventId/guests/:guestId', async (req, res) => {
 });
 
 // Update Guest RSVP Status
-router.put('/:eventId/guests/:guestId', [
+router.put('/:eventId/guests/:guestId', authorizeEvent('guests', 'write'), [
   body('rsvpStatus').isIn(['Pending', 'Confirmed', 'Declined', 'Maybe']).withMessage('Invalid RSVP status'),
   body('plusOne').optional().isInt({ min: 0 }).withMessage('Plus one count must be a non-negative integer'),
   body('notes').optional().trim()
@@ -239,66 +222,58 @@ router.put('/:eventId/guests/:guestId', [
     const userId = req.user.id;
     const updates = req.body;
 
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
-
     // Find the guest
-    const guestIndex = guests.findIndex(g => g.id === guestId && g.eventId === eventId);
-    if (guestIndex === -1) {
+    const guest = await guests.findOne({ id: guestId, eventId });
+    if (!guest) {
       return res.status(404).json({ error: 'Guest not found' });
     }
 
-    const guest = guests[guestIndex];
-
     // Update guest fields
-    if (updates.rsvpStatus) guest.rsvpStatus = updates.rsvpStatus;
-    if (updates.plusOne !== undefined) guest.plusOne = updates.plusOne;
-    if (updates.notes !== undefined) guest.notes = updates.notes;
+    const changes = {};
+    if (updates.rsvpStatus) changes.rsvpStatus = updates.rsvpStatus;
+    if (updates.plusOne !== undefined) changes.plusOne = updates.plusOne;
+    if (updates.notes !== undefined) changes.notes = updates.notes;
+
+    // Only write if the client saw the latest version (If-Match)
+    const updatedGuest = await guests.update(guest.id, changes, { expectedVersion: expectedVersion(req) });
+    await recordChange({ actorId: userId, eventId, entityType: 'guest', action: 'update', before: guest, after: updatedGuest });
+    await notifyGuestRsvp(updatedGuest, guest, req.event, userId);
 
     // Return updated guest data (without internal fields)
-    const { eventId: _, createdAt: __, ...guestResponse } = guest;
+    const { eventId: _, createdAt: __, ...guestResponse } = updatedGuest;
+    setETag(res, updatedGuest);
     res.json(guestResponse);
 
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
     console.error('Update guest error:', error);
     res.status(500).json({ error: 'Internal server error while updating guest' });
   }
 });
 
 // Delete a Guest
-router.delete('/:eventId/guests/:guestId', async (req, res) => {
+router.delete('/:eventId/guests/:guestId', authorizeEvent('guests', 'write'), async (req, res) => {
   try {
     const { eventId, guestId } = req.params;
     const userId = req.user.id;
 
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
-
-    // Find and remove the guest
-    const guestIndex = guests.findIndex(g => g.id === guestId && g.eventId === eventId);
-    if (guestIndex === -1) {
+    // Find the guest and move it to the trash
+    const guest = await guests.findOne({ id: guestId, eventId });
+    if (!guest) {
       return res.status(404).json({ error: 'Guest not found' });
     }
 
-    guests.splice(guestIndex, 1);
+    await guests.softRemove(guest.id, { deletedBy: userId }, { expectedVersion: expectedVersion(req) });
+    await recordChange({ actorId: userId, eventId, entityType: 'guest', action: 'delete', before: guest });
 
     res.status(204).send();
 
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
     console.error('Delete guest error:', error);
     res.status(500).json({ error: 'Internal server error while deleting guest' });
   }
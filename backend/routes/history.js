@@ -0,0 +1,203 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requireScope, scopesAllowRead, scopesAllowWrite } = require('../middleware/scopes');
+const { authorizeEvent } = require('../middleware/permissions');
+const { roleCan } = require('../services/permissions');
+const { auditLogs } = require('../data');
+const { ENTITY_COLLECTIONS, RevertError, listHistory, revertChange } = require('../services/audit');
+
+const router = express.Router();
+
+// Apply authentication to all history routes
+router.use(authenticateToken);
+router.use('/:eventId/history', requireScope('events'));
+
+/**
+ * @swagger
+ * /api/events/{eventId}/history:
+ *   get:
+ *     summary: Get the change history of an event
+ *     description: Every create, update, delete and restore on the event and its tasks, guests, vendors, expenses and sessions, newest first, with field-level before/after values.
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [event, task, guest, vendor, expense, session]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore]
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: until
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Matching history entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:eventId/history', authorizeEvent('events', 'read'), [
+  query('entityType').optional().isIn(Object.keys(ENTITY_COLLECTIONS)).withMessage('Invalid entity type'),
+  query('action').optional().isIn(['create', 'update', 'delete', 'restore']).withMessage('Invalid action'),
+  query('since').optional().isISO8601().withMessage('since must be a valid date'),
+  query('until').optional().isISO8601().withMessage('until must be a valid date'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('offset must be a non-negative integer')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { eventId } = req.params;
+    const limit = parseInt(req.query.limit || '50', 10);
+    const offset = parseInt(req.query.offset || '0', 10);
+
+    // Changes to resources the user's role or token cannot see are left out
+    const entries = (await listHistory(eventId, req.query))
+      .filter(entry => roleCan(req.eventRole, ENTITY_COLLECTIONS[entry.entityType], 'read')
+        && scopesAllowRead(req.user, ENTITY_COLLECTIONS[entry.entityType]));
+
+    res.json({
+      total: entries.length,
+      entries: entries.slice(offset, offset + limit)
+    });
+
+  } catch (error) {
+    console.error('Get history error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching history' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/history/{changeId}/revert:
+ *   post:
+ *     summary: Revert a single recorded change
+ *     description: Updates are undone field by field, creations are moved to the trash and deletions are restored. The revert itself is recorded as a new history entry. Event status, ownership and membership changes cannot be reverted. A session that would clash with other sessions is refused with 409 and the list of clashes unless allowConflicts is true; one that comes back from a deletion drops a responsible person who left the event and vendors that were deleted.
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *       - in: path
+ *         name: changeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: History entry ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allowConflicts:
+ *                 type: boolean
+ *                 description: Revert a session change even if the session then clashes with others
+ *     responses:
+ *       200:
+ *         description: Change reverted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditEntry'
+ *       403:
+ *         description: Access denied, or the token lacks the write scope for the changed resource
+ *       404:
+ *         description: Event or history entry not found
+ *       409:
+ *         description: The record changed since the entry was recorded, the entry changed the event status, owner or members, or the session would clash with others
+ */
+router.post('/:eventId/history/:changeId/revert', authorizeEvent('events', 'read'), async (req, res) => {
+  try {
+    const { eventId, changeId } = req.params;
+    const userId = req.user.id;
+
+    // Find the history entry
+    const entry = await auditLogs.findOne({ id: changeId, eventId });
+    const resource = entry && ENTITY_COLLECTIONS[entry.entityType];
+    if (!entry || !roleCan(req.eventRole, resource, 'read') || !scopesAllowRead(req.user, resource)) {
+      return res.status(404).json({ error: 'History entry not found' });
+    }
+
+    // Reverting is editing, so it needs the same permission and token scope
+    if (!roleCan(req.eventRole, resource, 'write')) {
+      return res.status(403).json({ error: `Your role on this event (${req.eventRole}) does not allow this` });
+    }
+    if (!scopesAllowWrite(req.user, resource)) {
+      return res.status(403).json({ error: `This token needs the "${resource}:write" scope` });
+    }
+
+    const revertEntry = await revertChange(entry, userId, { allowConflicts: req.body.allowConflicts === true });
+
+    res.json(revertEntry);
+
+  } catch (error) {
+    if (error instanceof RevertError) {
+      return res.status(error.statusCode).json({ error: error.message, conflicts: error.details });
+    }
+    console.error('Revert change error:', error);
+    res.status(500).json({ error: 'Internal server error while reverting change' });
+  }
+});
+
+module.exports = router;
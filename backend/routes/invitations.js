@@ -0,0 +1,198 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { rejectPersonalAccessTokens } = require('../middleware/scopes');
+const { users, events, invitations } = require('../data');
+const {
+  isPending,
+  toPublicInvitation,
+  findInvitationForUser,
+  acceptInvitation,
+  declineInvitation
+} = require('../services/invitations');
+const { isArchived } = require('../services/eventLifecycle');
+
+const router = express.Router();
+
+// Invitations are answered by their recipient, not by integrations
+router.use(authenticateToken, rejectPersonalAccessTokens);
+
+const tokenValidation = body('token').optional().isString().withMessage('Token must be a string');
+
+// Load the invitation and the responding user, or answer with an error
+const loadInvitation = async (req, res) => {
+  const user = await users.findById(req.user.id);
+  const invitation = user && await findInvitationForUser(req.params.invitationId, user, req.body.token);
+  if (!invitation) {
+    res.status(404).json({ error: 'Invitation not found' });
+    return null;
+  }
+
+  if (!isPending(invitation)) {
+    res.status(400).json({ error: `Invitation is ${toPublicInvitation(invitation).status}` });
+    return null;
+  }
+
+  // Trashed events cannot be joined
+  if (!await events.findById(invitation.eventId)) {
+    res.status(404).json({ error: 'Event not found' });
+    return null;
+  }
+
+  return { user, invitation };
+};
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: List pending invitations addressed to the authenticated user
+ *     description: Only invitations to the user's verified email address are listed.
+ *     tags: [Collaborators]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending invitations with the event they are for
+ */
+router.get('/', async (req, res) => {
+  try {
+    const user = await users.findById(req.user.id);
+    if (!user || !user.emailVerified) {
+      return res.json([]);
+    }
+
+    const pending = (await invitations.find({ email: user.email })).filter(isPending);
+
+    const response = [];
+    for (const invitation of pending) {
+      const event = await events.findById(invitation.eventId);
+      if (event) {
+        response.push({ ...toPublicInvitation(invitation), event: { id: event.id, name: event.name, date: event.date } });
+      }
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching invitations' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations/{invitationId}/accept:
+ *   post:
+ *     summary: Accept an invitation to collaborate on an event
+ *     description: Pass the token from the invitation email, or leave it out when the invitation was sent to the user's verified email address.
+ *     tags: [Collaborators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invitation accepted; the user is now a collaborator of the event
+ *       400:
+ *         description: Invitation is expired, revoked or already answered
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: The event is archived
+ */
+router.post('/:invitationId/accept', [tokenValidation], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const found = await loadInvitation(req, res);
+    if (!found) return;
+
+    // Archived events are read-only, members included
+    if (isArchived(await events.findById(found.invitation.eventId))) {
+      return res.status(409).json({ error: 'This event is archived and read-only; change its status to edit it' });
+    }
+
+    const event = await acceptInvitation(found.invitation, found.user);
+    if (!event) {
+      return res.status(400).json({ error: 'Invitation is no longer pending' });
+    }
+
+    res.json({ message: 'Invitation accepted', event });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Internal server error while accepting invitation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations/{invitationId}/decline:
+ *   post:
+ *     summary: Decline an invitation to collaborate on an event
+ *     tags: [Collaborators]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: Invitation declined
+ *       400:
+ *         description: Invitation is expired, revoked or already answered
+ *       404:
+ *         description: Invitation not found
+ */
+router.post('/:invitationId/decline', [tokenValidation], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const found = await loadInvitation(req, res);
+    if (!found) return;
+
+    if (!await declineInvitation(found.invitation)) {
+      return res.status(400).json({ error: 'Invitation is no longer pending' });
+    }
+
+    res.status(204).send();
+
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({ error: 'Internal server error while declining invitation' });
+  }
+});
+
+module.exports = router;
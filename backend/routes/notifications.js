@@ -0,0 +1,251 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { rejectPersonalAccessTokens } = require('../middleware/scopes');
+const { users, notifications } = require('../data');
+const { NOTIFICATION_TYPES, DIGEST_FREQUENCIES, preferencesOf } = require('../services/notifications');
+
+const router = express.Router();
+
+// The inbox belongs to the person, not to integrations
+router.use(authenticateToken, rejectPersonalAccessTokens);
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List the authenticated user's notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [task-assigned, task-overdue, guest-rsvp, event-invitation, comment-mention]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Notifications, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 unreadCount:
+ *                   type: integer
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ */
+router.get('/', [
+  query('unread').optional().isBoolean().withMessage('unread must be a boolean value'),
+  query('type').optional().isIn(NOTIFICATION_TYPES).withMessage('Invalid notification type'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('offset must be a non-negative integer')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type } = req.query;
+    const onlyUnread = req.query.unread === 'true';
+    const limit = parseInt(req.query.limit || '50', 10);
+    const offset = parseInt(req.query.offset || '0', 10);
+
+    const inbox = await notifications.find({ userId: req.user.id });
+    inbox.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const matching = inbox.filter(notification =>
+      (!type || notification.type === type) &&
+      (!onlyUnread || !notification.readAt)
+    );
+
+    res.json({
+      total: matching.length,
+      unreadCount: inbox.filter(notification => !notification.readAt).length,
+      notifications: matching.slice(offset, offset + limit)
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching notifications' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked as read
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    const unread = await notifications.find({ userId: req.user.id, readAt: null });
+
+    const readAt = new Date();
+    for (const notification of unread) {
+      await notifications.update(notification.id, { readAt });
+    }
+
+    res.json({ updated: unread.length });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Internal server error while updating notifications' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get the authenticated user's notification preferences
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Which types are on, and how often unread notifications are mailed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ */
+router.get('/preferences', async (req, res) => {
+  try {
+    const user = await users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(preferencesOf(user));
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching preferences' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   put:
+ *     summary: Update notification preferences
+ *     description: Types left out keep their current setting. With a daily or weekly digest, unread notifications are also mailed to verified addresses.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200:
+ *         description: The updated preferences
+ *       400:
+ *         description: Validation error
+ */
+router.put('/preferences', [
+  body('types').optional().isObject().withMessage('types must be an object'),
+  body('types').optional().custom(types => Object.entries(types).every(([type, enabled]) =>
+    NOTIFICATION_TYPES.includes(type) && typeof enabled === 'boolean'
+  )).withMessage(`types maps ${NOTIFICATION_TYPES.join(', ')} to true or false`),
+  body('digest').optional().isIn(Object.keys(DIGEST_FREQUENCIES))
+    .withMessage(`Digest must be one of: ${Object.keys(DIGEST_FREQUENCIES).join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { types = {}, digest } = req.body;
+    const updatedUser = await users.update(user.id, {
+      notificationPreferences: { ...user.notificationPreferences, ...types },
+      notificationDigest: digest || preferencesOf(user).digest
+    });
+
+    res.json(preferencesOf(updatedUser));
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Internal server error while updating preferences' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{notificationId}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The notification
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/:notificationId/read', async (req, res) => {
+  try {
+    const notification = await notifications.findOne({ id: req.params.notificationId, userId: req.user.id });
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    if (notification.readAt) {
+      return res.json(notification);
+    }
+
+    res.json(await notifications.update(notification.id, { readAt: new Date() }));
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Internal server error while updating notification' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,263 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requireScope } = require('../middleware/scopes');
+const { authorizeEvent } = require('../middleware/permissions');
+const { users, ownershipTransfers } = require('../data');
+const { VersionConflictError } = require('../data/errors');
+const { COLLABORATOR_ROLES } = require('../services/permissions');
+const {
+  findPendingTransfer,
+  nominateOwner,
+  acceptTransfer,
+  declineTransfer,
+  cancelTransfer
+} = require('../services/ownershipTransfer');
+
+const router = express.Router();
+
+// Apply authentication to all ownership routes
+router.use(authenticateToken);
+router.use('/:eventId/transfer', requireScope('events'));
+
+/**
+ * @swagger
+ * /api/events/{eventId}/transfer:
+ *   get:
+ *     summary: Get the pending ownership transfer and past transfers of an event
+ *     tags: [Ownership]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pending transfer (or null) and all transfers, newest first
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:eventId/transfer', authorizeEvent('events', 'read'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const transfers = await ownershipTransfers.find({ eventId });
+    transfers.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({
+      pending: transfers.find(transfer => transfer.status === 'pending') || null,
+      transfers
+    });
+
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching transfers' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/transfer:
+ *   post:
+ *     summary: Nominate a collaborator as the new owner
+ *     description: The nominee has to accept before anything changes. The current owner then stays on as a collaborator with previousOwnerRole. A new nomination cancels a pending one.
+ *     tags: [Ownership]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Collaborator to become the owner
+ *               previousOwnerRole:
+ *                 type: string
+ *                 enum: [editor, finance, guest-manager, viewer]
+ *                 default: editor
+ *     responses:
+ *       201:
+ *         description: Nomination created
+ *       400:
+ *         description: Validation error or the user is not a collaborator
+ *       403:
+ *         description: Only the owner can transfer the event
+ *       404:
+ *         description: Event not found
+ */
+router.post('/:eventId/transfer', authorizeEvent('events', 'write'), [
+  body('userId').isString().notEmpty().withMessage('User ID is required'),
+  body('previousOwnerRole').optional().isIn(COLLABORATOR_ROLES)
+    .withMessage(`Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId: nomineeId, previousOwnerRole = 'editor' } = req.body;
+    const { event } = req;
+
+    if (!event.collaborators.includes(nomineeId)) {
+      return res.status(400).json({ error: 'The new owner must be a collaborator of the event' });
+    }
+
+    const owner = await users.findById(req.user.id);
+    const nominee = await users.findById(nomineeId);
+    if (!nominee) {
+      return res.status(400).json({ error: 'The new owner must be a collaborator of the event' });
+    }
+
+    const transfer = await nominateOwner(event, owner, nominee, previousOwnerRole);
+
+    res.status(201).json(transfer);
+
+  } catch (error) {
+    console.error('Nominate owner error:', error);
+    res.status(500).json({ error: 'Internal server error while transferring ownership' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/transfer/accept:
+ *   post:
+ *     summary: Accept ownership of an event
+ *     description: Only the nominee can accept.
+ *     tags: [Ownership]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The user is now the owner; returns the updated event
+ *       404:
+ *         description: No pending transfer to the user
+ *       409:
+ *         description: The transfer no longer applies or the event changed meanwhile
+ */
+router.post('/:eventId/transfer/accept', authorizeEvent('events', 'read'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const transfer = await findPendingTransfer(eventId);
+    if (!transfer || transfer.toUserId !== req.user.id) {
+      return res.status(404).json({ error: 'No pending transfer to you for this event' });
+    }
+
+    const updatedEvent = await acceptTransfer(transfer, req.event);
+    if (!updatedEvent) {
+      return res.status(409).json({ error: 'This transfer no longer applies' });
+    }
+
+    res.json(updatedEvent);
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return res.status(409).json({ error: 'The event changed meanwhile, please try again' });
+    }
+    console.error('Accept transfer error:', error);
+    res.status(500).json({ error: 'Internal server error while transferring ownership' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/transfer/decline:
+ *   post:
+ *     summary: Decline ownership of an event
+ *     tags: [Ownership]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Transfer declined
+ *       404:
+ *         description: No pending transfer to the user
+ */
+router.post('/:eventId/transfer/decline', authorizeEvent('events', 'read'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const transfer = await findPendingTransfer(eventId);
+    if (!transfer || transfer.toUserId !== req.user.id || !await declineTransfer(transfer)) {
+      return res.status(404).json({ error: 'No pending transfer to you for this event' });
+    }
+
+    res.status(204).send();
+
+  } catch (error) {
+    console.error('Decline transfer error:', error);
+    res.status(500).json({ error: 'Internal server error while declining transfer' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/transfer:
+ *   delete:
+ *     summary: Cancel a pending ownership transfer
+ *     tags: [Ownership]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Transfer cancelled
+ *       403:
+ *         description: Only the owner can cancel
+ *       404:
+ *         description: No pending transfer
+ */
+router.delete('/:eventId/transfer', authorizeEvent('events', 'write'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const transfer = await findPendingTransfer(eventId);
+    if (!transfer || !await cancelTransfer(transfer)) {
+      return res.status(404).json({ error: 'No pending transfer for this event' });
+    }
+
+    res.status(204).send();
+
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    res.status(500).json({ error: 'Internal server error while cancelling transfer' });
+  }
+});
+
+module.exports = router;
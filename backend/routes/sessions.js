@@ -0,0 +1,476 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
+const { authenticateToken } = require('../middleware/auth');
+const { requireScope } = require('../middleware/scopes');
+const { authorizeEvent } = require('../middleware/permissions');
+const { agendaSessions, users } = require('../data');
+const { VersionConflictError } = require('../data/errors');
+const { setETag, expectedVersion, sendVersionConflict } = require('../middleware/concurrency');
+const { recordChange } = require('../services/audit');
+const { roleCan } = require('../services/permissions');
+const { isValidTimezone } = require('../services/accounts');
+const {
+  eventVendorIds,
+  findConflicts,
+  listConflicts,
+  checkReferences,
+  buildRunOfShow,
+  formatRunOfShow
+} = require('../services/agenda');
+
+const router = express.Router();
+
+// Apply authentication to all session routes
+router.use(authenticateToken);
+router.use('/:eventId/sessions', requireScope('agendaSessions'));
+
+// Fields shared by create and update; optional() is added for updates
+const sessionFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title must be between 1 and 200 characters'),
+    field('startsAt').isISO8601().withMessage('Valid start time is required'),
+    field('endsAt').isISO8601().withMessage('Valid end time is required'),
+    body('location').optional({ nullable: true }).trim().isLength({ max: 200 }).withMessage('Location must be at most 200 characters'),
+    body('description').optional().trim(),
+    body('responsibleId').optional({ nullable: true }).isString().withMessage('Invalid responsible user ID'),
+    body('vendorIds').optional().isArray().withMessage('vendorIds must be an array'),
+    body('vendorIds.*').isString().withMessage('Invalid vendor ID'),
+    body('allowConflicts').optional().isBoolean().withMessage('allowConflicts must be a boolean value').toBoolean()
+  ];
+};
+
+// Check times, references and clashes of a session before it is saved. Only
+// the references being set are checked, so an edit is not blocked by a vendor
+// or member that went away since. Answers the request and returns false when
+// the session cannot be saved.
+const vetSession = async (req, res, session, references = session) => {
+  if (new Date(session.endsAt) <= new Date(session.startsAt)) {
+    res.status(400).json({ error: 'A session must end after it starts' });
+    return false;
+  }
+
+  const referenceError = await checkReferences(req.event, references);
+  if (referenceError) {
+    res.status(400).json({ error: referenceError });
+    return false;
+  }
+
+  const others = await agendaSessions.find({ eventId: req.event.id });
+  const conflicts = findConflicts(session, others, await eventVendorIds(req.event.id));
+  if (conflicts.length > 0 && !req.body.allowConflicts) {
+    res.status(409).json({ error: 'The session clashes with other sessions; send allowConflicts to save it anyway', conflicts });
+    return false;
+  }
+
+  return conflicts;
+};
+
+/**
+ * @swagger
+ * /api/events/{eventId}/sessions:
+ *   post:
+ *     summary: Add a session to the event agenda
+ *     description: Sessions that overlap in time and share the location, the responsible member or a vendor are refused with 409 and the list of clashes, unless allowConflicts is true.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - startsAt
+ *               - endsAt
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "Opening keynote"
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               location:
+ *                 type: string
+ *                 example: "Main hall"
+ *               description:
+ *                 type: string
+ *               responsibleId:
+ *                 type: string
+ *                 description: Member of the event who runs the session
+ *               vendorIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               allowConflicts:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Session added; conflicts lists the clashes that were accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Session'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: The session clashes with other sessions
+ */
+router.post('/:eventId/sessions', authorizeEvent('agendaSessions', 'write'), sessionFields(false), async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { eventId } = req.params;
+    const { title, startsAt, endsAt, location, description, responsibleId, vendorIds } = req.body;
+    const userId = req.user.id;
+
+    // Create new session
+    const newSession = {
+      id: uuidv4(),
+      title,
+      startsAt: new Date(startsAt),
+      endsAt: new Date(endsAt),
+      location: location || null,
+      description: description || '',
+      responsibleId: responsibleId || null,
+      vendorIds: [...new Set(vendorIds || [])],
+      eventId,
+      version: 1,
+      createdAt: new Date()
+    };
+
+    const conflicts = await vetSession(req, res, newSession);
+    if (!conflicts) return;
+
+    await agendaSessions.create(newSession);
+    await recordChange({ actorId: userId, eventId, entityType: 'session', action: 'create', after: newSession });
+
+    setETag(res, newSession);
+    res.status(201).json({ ...newSession, conflicts });
+
+  } catch (error) {
+    console.error('Add session error:', error);
+    res.status(500).json({ error: 'Internal server error while adding session' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/sessions:
+ *   get:
+ *     summary: Get the agenda of an event, in running order
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Sessions sorted by start time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:eventId/sessions', authorizeEvent('agendaSessions', 'read'), async (req, res) => {
+  try {
+    const eventSessions = await agendaSessions.find({ eventId: req.params.eventId });
+    eventSessions.sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt) || new Date(a.endsAt) - new Date(b.endsAt));
+
+    res.json(eventSessions);
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching sessions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/sessions/conflicts:
+ *   get:
+ *     summary: List the clashing pairs of sessions
+ *     description: Includes clashes that were saved with allowConflicts.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pairs of overlapping sessions and what they share
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   sessionIds:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   shared:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                           enum: [location, responsible, vendor]
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:eventId/sessions/conflicts', authorizeEvent('agendaSessions', 'read'), async (req, res) => {
+  try {
+    const eventSessions = await agendaSessions.find({ eventId: req.params.eventId });
+
+    res.json(listConflicts(eventSessions, await eventVendorIds(req.params.eventId)));
+
+  } catch (error) {
+    console.error('Get session conflicts error:', error);
+    res.status(500).json({ error: 'Internal server error while checking sessions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/sessions/run-of-show:
+ *   get:
+ *     summary: Get the printable run-of-show
+ *     description: Sessions numbered in running order and grouped by day, with the names of the responsible members and (for roles that can see vendors) the vendors. Send Accept text/plain or format=text for a plain-text sheet.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *         description: IANA time zone for days and times; defaults to the caller's profile time zone
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, text]
+ *     responses:
+ *       200:
+ *         description: Run-of-show
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 timezone:
+ *                   type: string
+ *                 days:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         example: "2024-07-15"
+ *                       sessions:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid time zone or format
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:eventId/sessions/run-of-show', authorizeEvent('agendaSessions', 'read'), [
+  query('timezone').optional().custom(isValidTimezone).withMessage('Must be a valid IANA time zone'),
+  query('format').optional().isIn(['json', 'text']).withMessage('format must be json or text')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await users.findById(req.user.id);
+    const timezone = req.query.timezone || (user && user.timezone) || 'UTC';
+    const days = await buildRunOfShow(req.event, {
+      timezone,
+      includeVendors: roleCan(req.eventRole, 'vendors', 'read')
+    });
+
+    const format = req.query.format || (req.accepts(['json', 'text']) === 'text' ? 'text' : 'json');
+    if (format === 'text') {
+      return res.type('text/plain').send(formatRunOfShow(req.event, days, timezone));
+    }
+
+    res.json({ timezone, days });
+
+  } catch (error) {
+    console.error('Get run-of-show error:', error);
+    res.status(500).json({ error: 'Internal server error while building the run-of-show' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/sessions/{sessionId}:
+ *   get:
+ *     summary: Get a session
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Session'
+ *       404:
+ *         description: Session not found
+ */
+router.get('/:eventId/sessions/:sessionId', authorizeEvent('agendaSessions', 'read'), async (req, res) => {
+  try {
+    const { eventId, sessionId } = req.params;
+
+    const session = await agendaSessions.findOne({ id: sessionId, eventId });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    setETag(res, session);
+    res.json(session);
+
+  } catch (error) {
+    console.error('Get session error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching session' });
+  }
+});
+
+// Update a Session
+router.put('/:eventId/sessions/:sessionId', authorizeEvent('agendaSessions', 'write'), sessionFields(true), async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { eventId, sessionId } = req.params;
+    const userId = req.user.id;
+    const updates = req.body;
+
+    // Find the session
+    const session = await agendaSessions.findOne({ id: sessionId, eventId });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Update session fields
+    const changes = {};
+    if (updates.title) changes.title = updates.title;
+    if (updates.startsAt) changes.startsAt = new Date(updates.startsAt);
+    if (updates.endsAt) changes.endsAt = new Date(updates.endsAt);
+    if (updates.location !== undefined) changes.location = updates.location || null;
+    if (updates.description !== undefined) changes.description = updates.description;
+    if (updates.responsibleId !== undefined) changes.responsibleId = updates.responsibleId || null;
+    if (updates.vendorIds) changes.vendorIds = [...new Set(updates.vendorIds)];
+
+    const conflicts = await vetSession(req, res, { ...session, ...changes }, changes);
+    if (!conflicts) return;
+
+    // Only write if the client saw the latest version (If-Match)
+    const updatedSession = await agendaSessions.update(session.id, changes, { expectedVersion: expectedVersion(req) });
+    await recordChange({ actorId: userId, eventId, entityType: 'session', action: 'update', before: session, after: updatedSession });
+
+    setETag(res, updatedSession);
+    res.json({ ...updatedSession, conflicts });
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
+    console.error('Update session error:', error);
+    res.status(500).json({ error: 'Internal server error while updating session' });
+  }
+});
+
+// Delete a Session
+router.delete('/:eventId/sessions/:sessionId', authorizeEvent('agendaSessions', 'write'), async (req, res) => {
+  try {
+    const { eventId, sessionId } = req.params;
+    const userId = req.user.id;
+
+    // Find the session and move it to the trash
+    const session = await agendaSessions.findOne({ id: sessionId, eventId });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await agendaSessions.softRemove(session.id, { deletedBy: userId }, { expectedVersion: expectedVersion(req) });
+    await recordChange({ actorId: userId, eventId, entityType: 'session', action: 'delete', before: session });
+
+    res.status(204).send();
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
+    console.error('Delete session error:', error);
+    res.status(500).json({ error: 'Internal server error while deleting session' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requireScope, scopesAllowRead } = require('../middleware/scopes');
+const { authorizeEvent } = require('../middleware/permissions');
+const { events, sessions, personalAccessTokens } = require('../data');
+const { roleOf, roleCan } = require('../services/permissions');
+const { ENTITY_COLLECTIONS } = require('../services/audit');
+const { subscribe } = require('../services/realtime');
+
+const router = express.Router();
+
+const STREAM_HEARTBEAT_SECONDS = parseInt(process.env.STREAM_HEARTBEAT_SECONDS || '25', 10);
+
+// Apply authentication to all stream routes
+router.use(authenticateToken);
+router.use('/:eventId/stream', requireScope('events'));
+
+// The session or token behind the stream may be revoked while it is open
+const credentialsActive = async (user) => {
+  if (user.tokenId) {
+    const token = await personalAccessTokens.findById(user.tokenId);
+    return Boolean(token && !token.revokedAt && (!token.expiresAt || new Date(token.expiresAt) > new Date()));
+  }
+  const session = await sessions.findById(user.sid);
+  return Boolean(session && !session.revokedAt);
+};
+
+/**
+ * @swagger
+ * /api/events/{eventId}/stream:
+ *   get:
+ *     summary: Stream changes to an event as Server-Sent Events
+ *     description: |
+ *       Keeps the connection open and pushes a message for every create, update, delete and restore on the event and its tasks, guests, vendors, expenses and sessions. The SSE event name is the action; the data holds entityType, entityId, actorId, timestamp and the record after the change (null after a delete). The message id is the history entry ID.
+ *
+ *       Access is checked again for every message, so changes to resources the caller's role (or token scopes) cannot read are skipped. A "revoked" message is sent and the stream closed when the caller loses access to the event, the event is deleted, or the session or token is revoked; its data carries the eventId and a reason: access_removed, event_deleted or credentials_revoked. When the event is deleted, the delete message for it comes first. Comment lines are sent as a heartbeat.
+ *     tags: [Stream]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event stream; starts with a "ready" message carrying the caller's role
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:eventId/stream', authorizeEvent('events', 'read'), (req, res) => {
+  const { eventId } = req.params;
+  const { user } = req;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (type, data, id) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let closed = false;
+  let unsubscribe = () => {};
+  let heartbeat = null;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  // Role of the user on the event right now, or why there is none
+  const currentAccess = async () => {
+    if (!await credentialsActive(user)) {
+      return { role: null, reason: 'credentials_revoked' };
+    }
+    const event = await events.findById(eventId);
+    if (!event) {
+      return { role: null, reason: 'event_deleted' };
+    }
+    const role = roleOf(event, user.id);
+    return role ? { role } : { role: null, reason: 'access_removed' };
+  };
+
+  const revokeUnlessAllowed = async () => {
+    const { role, reason } = await currentAccess();
+    if (!role && !closed) {
+      send('revoked', { eventId, reason });
+      close();
+    }
+    return role;
+  };
+
+  const sendChange = (entry, record) => {
+    send(entry.action, {
+      entityType: entry.entityType,
+      entityId: entry.entityId,
+      actorId: entry.actorId,
+      timestamp: entry.timestamp,
+      record
+    }, entry.id);
+  };
+
+  // Changes are relayed one at a time so they arrive in the order they happened
+  let relayed = Promise.resolve();
+  const relay = async ({ entry, record }) => {
+    // The event's own deletion is passed on before the stream is closed, so
+    // clients can tell it apart from losing access
+    if (entry.entityType === 'event' && entry.action === 'delete') {
+      if (!await credentialsActive(user)) {
+        await revokeUnlessAllowed();
+        return;
+      }
+      if (!closed) {
+        sendChange(entry, record);
+        send('revoked', { eventId, reason: 'event_deleted' });
+        close();
+      }
+      return;
+    }
+
+    const role = await revokeUnlessAllowed();
+    const resource = ENTITY_COLLECTIONS[entry.entityType];
+    if (!role || closed || !roleCan(role, resource, 'read') || !scopesAllowRead(user, resource)) {
+      return;
+    }
+
+    sendChange(entry, record);
+  };
+
+  unsubscribe = subscribe(eventId, (change) => {
+    relayed = relayed.then(() => relay(change)).catch((error) => {
+      console.error('Stream relay error:', error);
+      close();
+    });
+  });
+
+  heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    relayed = relayed.then(revokeUnlessAllowed).catch((error) => {
+      console.error('Stream heartbeat error:', error);
+      close();
+    });
+  }, STREAM_HEARTBEAT_SECONDS * 1000);
+
+  req.on('close', close);
+
+  send('ready', { eventId, role: req.eventRole });
+});
+
+module.exports = router;
@@ -2,12 +2,19 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const { authenticateToken } = require('../middleware/auth');
-const { tasks, events } = require('../data/inMemoryDB');
+const { requireScope } = require('../middleware/scopes');
+const { authorizeEvent } = require('../middleware/permissions');
+const { tasks } = require('../data');
+const { VersionConflictError } = require('../data/errors');
+const { setETag, expectedVersion, sendVersionConflict } = require('../middleware/concurrency');
+const { recordChange } = require('../services/audit');
+const { notifyTaskAssigned } = require('../services/notifications');
 
 const router = express.Router();
 
 // Apply authentication to all task routes
 router.use(authenticateToken);
+router.use('/:eventId/tasks', requireScope('tasks'));
 
 /**
  * @swagger
@@ -50,6 +57,12 @@ router.use(authenticateToken);
  *                 type: string
  *                 enum: [To-Do, In Progress, Completed, On Hold]
  *                 example: "To-Do"
+ *               weight:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 default: 1
+ *                 description: How much the task counts towards event progress
  *     responses:
  *       201:
  *         description: Task created successfully
@@ -62,12 +75,13 @@ router.use(authenticateToken);
  *       404:
  *         description: Event not found
  */
-router.post('/:eventId/tasks', [
+router.post('/:eventId/tasks', authorizeEvent('tasks', 'write'), [
   body('name').trim().isLength({ min: 1 }).withMessage('Task name is required'),
   body('description').optional().trim(),
   body('assigneeId').optional().isUUID().withMessage('Invalid assignee ID'),
   body('dueDate').optional().isISO8601().withMessage('Valid due date is required'),
-  body('status').optional().isIn(['To-Do', 'In Progress', 'Completed', 'On Hold']).withMessage('Invalid status')
+  body('status').optional().isIn(['To-Do', 'In Progress', 'Completed', 'On Hold']).withMessage('Invalid status'),
+  body('weight').optional().isInt({ min: 1, max: 100 }).withMessage('Weight must be a whole number from 1 to 100').toInt()
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -77,19 +91,9 @@ router.post('/:eventId/tasks', [
     }
 
     const { eventId } = req.params;
-    const { name, description, assigneeId, dueDate, status } = req.body;
+    const { name, description, assigneeId, dueDate, status, weight } = req.body;
     const userId = req.user.id;
 
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
-
     // Create new task
     const newTask = {
       id: uuidv4(),
@@ -98,12 +102,17 @@ router.post('/:eventId/tasks', [
       assigneeId: assigneeId || null,
       dueDate: dueDate ? new Date(dueDate) : null,
       status: status || 'To-Do',
+      weight: weight || 1,
       eventId,
+      version: 1,
       createdAt: new Date()
     };
 
-    tasks.push(newTask);
+    await tasks.create(newTask);
+    await recordChange({ actorId: userId, eventId, entityType: 'task', action: 'create', after: newTask });
+    await notifyTaskAssigned(newTask, null, req.event, userId);
 
+    setETag(res, newTask);
     res.status(201).json(newTask);
 
   } catch (error) {
@@ -148,26 +157,17 @@ router.post('/:eventId/tasks', [
  *                   dueDate:
  *                     type: string
  *                     format: date
+ *                   weight:
+ *                     type: integer
  *       404:
  *         description: Event not found
  */
-router.get('/:eventId/tasks', async (req, res) => {
+router.get('/:eventId/tasks', authorizeEvent('tasks', 'read'), async (req, res) => {
   try {
     const { eventId } = req.params;
-    const userId = req.user.id;
-
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
 
     // Get tasks for this event
-    const eventTasks = tasks.filter(task => task.eventId === eventId);
+    const eventTasks = await tasks.find({ eventId });
 
     // Return simplified task data for list view
     const taskList = eventTasks.map(task => ({
@@ -175,7 +175,8 @@ router.get('/:eventId/tasks', async (req, res) => {
       name: task.name,
       assigneeId: task.assigneeId,
       status: task.status,
-      dueDate: task.dueDate
+      dueDate: task.dueDate,
+      weight: task.weight ?? 1
     }));
 
     res.json(taskList);
@@ -187,27 +188,17 @@ router.get('/:eventId/tasks', async (req, res) => {
 });
 
 // Get a Specific Task
-router.get('/:eventId/tasks/:taskId', async (req, res) => {
+router.get('/:eventId/tasks/:taskId', authorizeEvent('tasks', 'read'), async (req, res) => {
   try {
     const { eventId, taskId } = req.params;
-    const userId = req.user.id;
-
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
 
     // Find the task
-    const task = tasks.find(t => t.id === taskId && t.eventId === eventId);
+    const task = await tasks.findOne({ id: taskId, eventId });
     if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
+    setETag(res, task);
     res.json(task);
 
   } catch (error) {
@@ -217,12 +208,13 @@ router.get('/:eventId/tasks/:taskId', async (req, res) => {
 });
 
 // Update a Task
-router.put('/:eventId/tasks/:taskId', [
+router.put('/:eventId/tasks/:taskId', authorizeEvent('tasks', 'write'), [
   body('name').optional().trim().isLength({ min: 1 }).withMessage('Task name cannot be empty'),
   body('description').optional().trim(),
   body('assigneeId').optional().isUUID().withMessage('Invalid assignee ID'),
   body('dueDate').optional().isISO8601().withMessage('Valid due date is required'),
-  body('status').optional().isIn(['To-Do', 'In Progress', 'Completed', 'On Hold']).withMessage('Invalid status')
+  body('status').optional().isIn(['To-Do', 'In Progress', 'Completed', 'On Hold']).withMessage('Invalid status'),
+  body('weight').optional().isInt({ min: 1, max: 100 }).withMessage('Weight must be a whole number from 1 to 100').toInt()
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -235,66 +227,59 @@ router.put('/:eventId/tasks/:taskId', [
     const userId = req.user.id;
     const updates = req.body;
 
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
-
     // Find the task
-    const taskIndex = tasks.findIndex(t => t.id === taskId && t.eventId === eventId);
-    if (taskIndex === -1) {
+    const task = await tasks.findOne({ id: taskId, eventId });
+    if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    const task = tasks[taskIndex];
-
     // Update task fields
-    if (updates.name) task.name = updates.name;
-    if (updates.description !== undefined) task.description = updates.description;
-    if (updates.assigneeId !== undefined) task.assigneeId = updates.assigneeId;
-    if (updates.dueDate !== undefined) task.dueDate = updates.dueDate ? new Date(updates.dueDate) : null;
-    if (updates.status) task.status = updates.status;
-
-    res.json(task);
+    const changes = {};
+    if (updates.name) changes.name = updates.name;
+    if (updates.description !== undefined) changes.description = updates.description;
+    if (updates.assigneeId !== undefined) changes.assigneeId = updates.assigneeId;
+    if (updates.dueDate !== undefined) changes.dueDate = updates.dueDate ? new Date(updates.dueDate) : null;
+    if (updates.status) changes.status = updates.status;
+    if (updates.weight) changes.weight = updates.weight;
+
+    // Only write if the client saw the latest version (If-Match)
+    const updatedTask = await tasks.update(task.id, changes, { expectedVersion: expectedVersion(req) });
+    await recordChange({ actorId: userId, eventId, entityType: 'task', action: 'update', before: task, after: updatedTask });
+    await notifyTaskAssigned(updatedTask, task, req.event, userId);
+
+    setETag(res, updatedTask);
+    res.json(updatedTask);
 
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
     console.error('Update task error:', error);
     res.status(500).json({ error: 'Internal server error while updating task' });
   }
 });
 
 // Delete a Task
-router.delete('/:eventId/tasks/:taskId', async (req, res) => {
+router.delete('/:eventId/tasks/:taskId', authorizeEvent('tasks', 'write'), async (req, res) => {
   try {
     const { eventId, taskId } = req.params;
     const userId = req.user.id;
 
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
-
-    // Find and remove the task
-    const taskIndex = tasks.findIndex(t => t.id === taskId && t.eventId === eventId);
-    if (taskIndex === -1) {
+    // Find the task and move it to the trash
+    const task = await tasks.findOne({ id: taskId, eventId });
+    if (!task) {
       return res.status(404).json({ error: 'Task not found' });
     }
 
-    tasks.splice(taskIndex, 1);
+    await tasks.softRemove(task.id, { deletedBy: userId }, { expectedVersion: expectedVersion(req) });
+    await recordChange({ actorId: userId, eventId, entityType: 'task', action: 'delete', before: task });
 
     res.status(204).send();
 
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
     console.error('Delete task error:', error);
     res.status(500).json({ error: 'Internal server error while deleting task' });
   }
@@ -0,0 +1,212 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requireScope } = require('../middleware/scopes');
+const { events, eventTemplates } = require('../data');
+const { roleOf } = require('../services/permissions');
+const { listTemplates, findTemplate, captureTemplate } = require('../services/templates');
+
+const router = express.Router();
+
+// Apply authentication to all template routes; they sit with events for tokens
+router.use(authenticateToken, requireScope('events'));
+
+/**
+ * @swagger
+ * /api/templates:
+ *   get:
+ *     summary: List the built-in templates and the user's saved ones
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only templates for this event type (case-insensitive)
+ *     responses:
+ *       200:
+ *         description: List of templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EventTemplate'
+ */
+router.get('/', [
+  query('type').optional().trim().isLength({ min: 1 }).withMessage('Event type cannot be empty')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const templates = await listTemplates(req.user.id, req.query.type);
+
+    res.json(templates);
+
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching templates' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/templates/{templateId}:
+ *   get:
+ *     summary: Get a template
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventTemplate'
+ *       404:
+ *         description: Template not found
+ */
+router.get('/:templateId', async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.templateId, req.user.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json(template);
+
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching template' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/templates:
+ *   post:
+ *     summary: Save an existing event as a template
+ *     description: Captures the event's tasks (due dates become offsets from the event date), expenses as planned amounts and one vendor slot per service. Only what the caller's role can read is captured.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - eventId
+ *               - name
+ *             properties:
+ *               eventId:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 example: "Our wedding checklist"
+ *     responses:
+ *       201:
+ *         description: Template saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EventTemplate'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Event not found
+ */
+router.post('/', [
+  body('eventId').isString().withMessage('Event ID is required'),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Template name must be between 1 and 100 characters')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { eventId, name } = req.body;
+    const userId = req.user.id;
+
+    const event = await events.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (!roleOf(event, userId)) {
+      return res.status(403).json({ error: 'Access denied to this event' });
+    }
+
+    const template = await captureTemplate(event, userId, name);
+
+    res.status(201).json(template);
+
+  } catch (error) {
+    console.error('Create template error:', error);
+    res.status(500).json({ error: 'Internal server error while creating template' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/templates/{templateId}:
+ *   delete:
+ *     summary: Delete a saved template
+ *     description: Built-in templates cannot be deleted. Events created from the template keep their records.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Template deleted
+ *       403:
+ *         description: Built-in templates cannot be deleted
+ *       404:
+ *         description: Template not found
+ */
+router.delete('/:templateId', async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.templateId, req.user.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (template.builtIn) {
+      return res.status(403).json({ error: 'Built-in templates cannot be deleted' });
+    }
+
+    await eventTemplates.remove(template.id);
+
+    res.status(204).send();
+
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ error: 'Internal server error while deleting template' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { rejectPersonalAccessTokens } = require('../middleware/scopes');
+const { personalAccessTokens } = require('../data');
+const { SCOPES, toPublicToken, createToken, revokeToken } = require('../services/personalAccessTokens');
+
+const router = express.Router();
+
+const PAT_MAX_LIFETIME_DAYS = parseInt(process.env.PAT_MAX_LIFETIME_DAYS || '365', 10);
+
+// Tokens can only be managed from a logged-in session
+router.use('/tokens', authenticateToken, rejectPersonalAccessTokens);
+
+/**
+ * @swagger
+ * /api/auth/tokens:
+ *   post:
+ *     summary: Create a personal access token
+ *     description: The token itself is only returned in this response. Send it as a bearer token; it is limited to its scopes and cannot manage the account or other tokens.
+ *     tags: [Personal Access Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Guest list import"
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [read, events:write, tasks:write, guests:write, vendors:write, expenses:write, agendaSessions:write]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Days until the token expires, at most PAT_MAX_LIFETIME_DAYS (365 by default). Leave out for the longest lifetime allowed.
+ *                 example: 90
+ *     responses:
+ *       201:
+ *         description: Token created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PersonalAccessToken'
+ *                 - type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                       example: "pp_3f9a..."
+ *       400:
+ *         description: Validation error
+ */
+router.post('/tokens', [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be at most 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(SCOPES).withMessage(`Scopes must be one of: ${SCOPES.join(', ')}`),
+  body('expiresInDays').optional().isInt({ min: 1, max: PAT_MAX_LIFETIME_DAYS })
+    .withMessage(`expiresInDays must be between 1 and ${PAT_MAX_LIFETIME_DAYS}`).toInt()
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Every token expires; without a choice it gets the longest lifetime allowed
+    const { name, scopes, expiresInDays = PAT_MAX_LIFETIME_DAYS } = req.body;
+
+    const { token, record } = await createToken(req.user.id, { name, scopes, expiresInDays });
+
+    res.status(201).json({ ...toPublicToken(record), token });
+
+  } catch (error) {
+    console.error('Create token error:', error);
+    res.status(500).json({ error: 'Internal server error while creating token' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/tokens:
+ *   get:
+ *     summary: List the user's personal access tokens
+ *     tags: [Personal Access Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tokens, newest first, without their secret values
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PersonalAccessToken'
+ */
+router.get('/tokens', async (req, res) => {
+  try {
+    const userTokens = await personalAccessTokens.find({ userId: req.user.id });
+
+    userTokens.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json(userTokens.map(toPublicToken));
+
+  } catch (error) {
+    console.error('List tokens error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching tokens' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/tokens/{tokenId}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     tags: [Personal Access Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tokenId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Token revoked
+ *       404:
+ *         description: Token not found
+ */
+router.delete('/tokens/:tokenId', async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+
+    const token = await personalAccessTokens.findById(tokenId);
+    if (!token || token.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    if (!token.revokedAt) {
+      await revokeToken(tokenId);
+    }
+
+    res.status(204).send();
+
+  } catch (error) {
+    console.error('Revoke token error:', error);
+    res.status(500).json({ error: 'Internal server error while revoking token' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,245 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { requireScope, scopesAllowRead } = require('../middleware/scopes');
+const { authorizeEvent } = require('../middleware/permissions');
+const { can, roleCan } = require('../services/permissions');
+const db = require('../data');
+const { restoreEventCascade } = require('../services/eventCleanup');
+const { recordChange } = require('../services/audit');
+const { checkReturningSession } = require('../services/agenda');
+const { TRASH_RETENTION_DAYS, purgeDate, listEventTrash } = require('../services/trash');
+
+const router = express.Router();
+
+// Apply authentication to all trash routes
+router.use(authenticateToken);
+router.all(['/trash', '/:eventId/restore', '/:eventId/trash'], requireScope('events'));
+router.all('/:eventId/:resource(tasks|guests|vendors|expenses|agendaSessions)/:recordId/restore', requireScope(req => req.params.resource));
+
+// Resources that can be restored individually, with the field that must stay
+// unique within an event
+const RESTORABLE_RESOURCES = {
+  tasks: { entityType: 'task', label: 'Task' },
+  guests: { entityType: 'guest', label: 'Guest', uniqueField: 'email' },
+  vendors: { entityType: 'vendor', label: 'Vendor', uniqueField: 'email' },
+  expenses: { entityType: 'expense', label: 'Expense' },
+  agendaSessions: { entityType: 'session', label: 'Session' }
+};
+
+/**
+ * @swagger
+ * /api/events/trash:
+ *   get:
+ *     summary: List the authenticated user's deleted events
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Trashed events hosted by the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 retentionDays:
+ *                   type: integer
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       deletedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       purgeAt:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/trash', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    // Only the host can delete an event, so only the host sees it in the trash
+    const trashedEvents = await db.events.find(
+      event => event.deletedAt && event.hostId === userId,
+      { withDeleted: true }
+    );
+
+    const eventList = trashedEvents.map(event => ({
+      id: event.id,
+      name: event.name,
+      type: event.type,
+      date: event.date,
+      deletedAt: event.deletedAt,
+      purgeAt: purgeDate(event)
+    }));
+
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      events: eventList
+    });
+
+  } catch (error) {
+    console.error('Get event trash error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching deleted events' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/restore:
+ *   post:
+ *     summary: Restore a deleted event
+ *     description: Brings back the event along with the tasks, guests, vendors, expenses and sessions that were deleted with it.
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Event restored
+ *       403:
+ *         description: Only the event host can restore this event
+ *       404:
+ *         description: Deleted event not found
+ */
+router.post('/:eventId/restore', async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const userId = req.user.id;
+
+    // Find the deleted event
+    const event = await db.events.findById(eventId, { withDeleted: true });
+    if (!event || !event.deletedAt) {
+      return res.status(404).json({ error: 'Deleted event not found' });
+    }
+
+    // Check if user is the host
+    if (!can(event, userId, 'events', 'write')) {
+      return res.status(403).json({ error: 'Only the event host can restore this event' });
+    }
+
+    const result = await restoreEventCascade(event);
+    await recordChange({ actorId: userId, eventId, entityType: 'event', action: 'restore', before: event, after: result.event });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Restore event error:', error);
+    res.status(500).json({ error: 'Internal server error while restoring event' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/trash:
+ *   get:
+ *     summary: List deleted tasks, guests, vendors, expenses and sessions of an event
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Deleted records grouped by resource, each with the date it will be purged
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:eventId/trash', authorizeEvent('events', 'read'), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const trash = await listEventTrash(eventId);
+
+    // Only show resources the user's role and token can see
+    Object.keys(trash)
+      .filter(resource => !roleCan(req.eventRole, resource, 'read') || !scopesAllowRead(req.user, resource))
+      .forEach(resource => delete trash[resource]);
+
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      ...trash
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching trash' });
+  }
+});
+
+// Restore a deleted task, guest, vendor, expense or session
+router.post('/:eventId/:resource(tasks|guests|vendors|expenses|agendaSessions)/:recordId/restore', authorizeEvent(req => req.params.resource, 'write'), async (req, res) => {
+  try {
+    const { eventId, resource, recordId } = req.params;
+    const userId = req.user.id;
+    const { entityType, label, uniqueField } = RESTORABLE_RESOURCES[resource];
+
+    // Find the deleted record
+    const record = await db[resource].findOne({ id: recordId, eventId }, { withDeleted: true });
+    if (!record || !record.deletedAt) {
+      return res.status(404).json({ error: `Deleted ${label.toLowerCase()} not found` });
+    }
+
+    // Don't restore a duplicate of a record that was re-created meanwhile;
+    // records without a value, like template vendor slots, cannot clash
+    if (uniqueField && record[uniqueField]) {
+      const conflict = await db[resource].findOne({ eventId, [uniqueField]: record[uniqueField] });
+      if (conflict) {
+        return res.status(400).json({ error: `${label} with this ${uniqueField} already exists for this event` });
+      }
+    }
+
+    // A session has to fit the agenda as it is now, like when it is saved
+    if (resource === 'agendaSessions') {
+      const { changes, conflicts } = await checkReturningSession(req.event, record);
+      if (conflicts.length > 0 && req.body.allowConflicts !== true) {
+        return res.status(409).json({ error: 'The session clashes with other sessions; send allowConflicts to restore it anyway', conflicts });
+      }
+
+      let restored = await db.agendaSessions.restore(recordId);
+      if (Object.keys(changes).length > 0) {
+        restored = await db.agendaSessions.update(recordId, changes);
+      }
+      await recordChange({ actorId: userId, eventId, entityType, action: 'restore', before: record, after: restored });
+
+      return res.json({ ...restored, conflicts });
+    }
+
+    const restored = await db[resource].restore(recordId);
+    await recordChange({ actorId: userId, eventId, entityType, action: 'restore', before: record, after: restored });
+
+    res.json(restored);
+
+  } catch (error) {
+    console.error('Restore record error:', error);
+    res.status(500).json({ error: 'Internal server error while restoring record' });
+  }
+});
+
+module.exports = router;
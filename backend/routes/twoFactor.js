@@ -0,0 +1,283 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { rejectPersonalAccessTokens } = require('../middleware/scopes');
+const { users } = require('../data');
+const {
+  verifySecondFactor,
+  beginEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../services/twoFactor');
+const { revokeAllSessions } = require('../services/sessions');
+const { loginProtection } = require('../services/loginProtection');
+
+const router = express.Router();
+
+// Two-factor settings can only be changed from a logged-in session
+router.use('/2fa', authenticateToken, rejectPersonalAccessTokens);
+
+const codeValidation = body('code').isString().notEmpty().withMessage('Code is required');
+
+// Check an app code for a settings change and use it up. Codes are guessable,
+// so they are throttled and wrong ones count as failed logins, as at
+// /login/2fa. Sends the error response and returns null when refused.
+const useAppCode = async (req, res, user) => {
+  const attempt = await loginProtection.checkAllowed(user.email, req.ip);
+  if (!attempt.allowed) {
+    res.set('Retry-After', String(attempt.retryAfterSeconds));
+    res.status(429).json({
+      error: 'Too many failed attempts. Please wait before trying again',
+      reason: attempt.reason,
+      retryAfterSeconds: attempt.retryAfterSeconds
+    });
+    return null;
+  }
+
+  const verifiedUser = await verifySecondFactor(user, { code: req.body.code });
+  if (!verifiedUser) {
+    await loginProtection.recordFailure(user.email, req.ip, user);
+    res.status(400).json({ error: 'Invalid authentication code' });
+    return null;
+  }
+  return verifiedUser;
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new secret and an otpauth URI to show as a QR code. Two-factor authentication is only switched on after a code from it is confirmed with /api/auth/2fa/confirm.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret to add to an authenticator app
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   example: "JBSWY3DPEHPK3PXP"
+ *                 otpauthUri:
+ *                   type: string
+ *                   example: "otpauth://totp/PlanPilot%3Ajohn%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=PlanPilot"
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/setup', async (req, res) => {
+  try {
+    const user = await users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const enrollment = await beginEnrollment(user);
+
+    res.json(enrollment);
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Internal server error during two-factor setup' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: Switches two-factor authentication on and returns recovery codes. They are shown only once; each can replace an app code for one login. Every other session of the user is logged out.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Validation error, wrong code or no enrollment in progress
+ */
+router.post('/2fa/confirm', [codeValidation], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const recoveryCodes = await confirmEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    // Sessions opened with the password alone end here
+    await revokeAllSessions(user.id, 'two_factor_enabled', { exceptSessionId: req.user.sid });
+
+    res.json({ recoveryCodes });
+
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({ error: 'Internal server error during two-factor setup' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     description: Requires a current code from the authenticator app that has not been used before. Wrong codes count as failed logins. The previous recovery codes stop working.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Validation error, wrong code or two-factor authentication is not enabled
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
+ */
+router.post('/2fa/recovery-codes', [codeValidation], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!await useAppCode(req, res, user)) {
+      return;
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user);
+
+    res.json({ recoveryCodes });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ error: 'Internal server error while generating recovery codes' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off
+ *     description: Requires a current code from the authenticator app that has not been used before. Wrong codes count as failed logins. Every other session of the user is logged out.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Validation error, wrong code or two-factor authentication is not enabled
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
+ */
+router.post('/2fa/disable', [codeValidation], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!await useAppCode(req, res, user)) {
+      return;
+    }
+
+    await disableTwoFactor(user);
+    await revokeAllSessions(user.id, 'two_factor_disabled', { exceptSessionId: req.user.sid });
+
+    res.status(204).send();
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Internal server error while disabling two-factor authentication' });
+  }
+});
+
+module.exports = router;
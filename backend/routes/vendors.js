@@ -2,12 +2,18 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const { authenticateToken } = require('../middleware/auth');
-const { vendors, events } = require('../data/inMemoryDB');
+const { requireScope } = require('../middleware/scopes');
+const { authorizeEvent } = require('../middleware/permissions');
+const { vendors } = require('../data');
+const { VersionConflictError } = require('../data/errors');
+const { setETag, expectedVersion, sendVersionConflict } = require('../middleware/concurrency');
+const { recordChange } = require('../services/audit');
 
 const router = express.Router();
 
 // Apply authentication to all vendor routes
 router.use(authenticateToken);
+router.use('/:eventId/vendors', requireScope('vendors'));
 
 /**
  * @swagger
@@ -49,6 +55,10 @@ router.use(authenticateToken);
  *               serviceProvided:
  *                 type: string
  *                 example: "Catering"
+ *               isConfirmed:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Whether the booking is confirmed
  *     responses:
  *       201:
  *         description: Vendor added successfully
@@ -57,15 +67,16 @@ router.use(authenticateToken);
  *             schema:
  *               $ref: '#/components/schemas/Vendor'
  *       400:
- *         description: Validation error or vendor already exists
+ *         description: Validation error, or a vendor with this email already exists or is in the trash
  *       404:
  *         description: Event not found
  */
-router.post('/:eventId/vendors', [
+router.post('/:eventId/vendors', authorizeEvent('vendors', 'write'), [
   body('companyName').trim().isLength({ min: 1 }).withMessage('Company name is required'),
   body('contactName').trim().isLength({ min: 1 }).withMessage('Contact name is required'),
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
-  body('serviceProvided').trim().isLength({ min: 1 }).withMessage('Service provided is required')
+  body('serviceProvided').trim().isLength({ min: 1 }).withMessage('Service provided is required'),
+  body('isConfirmed').optional().isBoolean().withMessage('isConfirmed must be a boolean value')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -75,23 +86,17 @@ router.post('/:eventId/vendors', [
     }
 
     const { eventId } = req.params;
-    const { companyName, contactName, email, serviceProvided } = req.body;
+    const { companyName, contactName, email, serviceProvided, isConfirmed } = req.body;
     const userId = req.user.id;
 
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
-
-    // Check if vendor already exists for this event
-    const existingVendor = vendors.find(v => v.eventId === eventId && v.email === email);
+    // Check if vendor already exists for this event. One in the trash counts
+    // too, since restoring it would clash with the new one
+    const existingVendor = await vendors.findOne({ eventId, email }, { withDeleted: true });
     if (existingVendor) {
-      return res.status(400).json({ error: 'Vendor with this email already exists for this event' });
+      const error = existingVendor.deletedAt
+        ? 'A vendor with this email is in the trash; restore it instead'
+        : 'Vendor with this email already exists for this event';
+      return res.status(400).json({ error });
     }
 
     // Create new vendor
@@ -101,14 +106,18 @@ router.post('/:eventId/vendors', [
       contactName,
       email,
       serviceProvided,
+      isConfirmed: Boolean(isConfirmed),
       eventId,
+      version: 1,
       createdAt: new Date()
     };
 
-    vendors.push(newVendor);
+    await vendors.create(newVendor);
+    await recordChange({ actorId: userId, eventId, entityType: 'vendor', action: 'create', after: newVendor });
 
     // Return vendor data (without internal fields)
     const { eventId: _, createdAt: __, ...vendorResponse } = newVendor;
+    setETag(res, newVendor);
     res.status(201).json(vendorResponse);
 
   } catch (error) {
@@ -152,26 +161,20 @@ router.post('/:eventId/vendors', [
  *                     type: string
  *                   serviceProvided:
  *                     type: string
+ *                   isConfirmed:
+ *                     type: boolean
+ *                   placeholder:
+ *                     type: boolean
+ *                     description: Vendor slot from a template, not filled in yet
  *       404:
  *         description: Event not found
  */
-router.get('/:eventId/vendors', async (req, res) => {
+router.get('/:eventId/vendors', authorizeEvent('vendors', 'read'), async (req, res) => {
   try {
     const { eventId } = req.params;
-    const userId = req.user.id;
-
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
 
     // Get vendors for this event
-    const eventVendors = vendors.filter(vendor => vendor.eventId === eventId);
+    const eventVendors = await vendors.find({ eventId });
 
     // Return vendor list data
     const vendorList = eventVendors.map(vendor => ({
@@ -179,7 +182,9 @@ router.get('/:eventId/vendors', async (req, res) => {
       companyName: vendor.companyName,
       contactName: vendor.contactName,
       email: vendor.email,
-      serviceProvided: vendor.serviceProvided
+      serviceProvided: vendor.serviceProvided,
+      isConfirmed: Boolean(vendor.isConfirmed),
+      placeholder: Boolean(vendor.placeholder)
     }));
 
     res.json(vendorList);
@@ -191,29 +196,19 @@ router.get('/:eventId/vendors', async (req, res) => {
 });
 
 // Get a Specific Vendor
-router.get('/:eventId/vendors/:vendorId', async (req, res) => {
+router.get('/:eventId/vendors/:vendorId', authorizeEvent('vendors', 'read'), async (req, res) => {
   try {
     const { eventId, vendorId } = req.params;
-    const userId = req.user.id;
-
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
 
     // Find the vendor
-    const vendor = vendors.find(v => v.id === vendorId && v.eventId === eventId);
+    const vendor = await vendors.findOne({ id: vendorId, eventId });
     if (!vendor) {
       return res.status(404).json({ error: 'Vendor not found' });
     }
 
     // Return vendor data (without internal fields)
     const { eventId: _, createdAt: __, ...vendorResponse } = vendor;
+    setETag(res, vendor);
     res.json(vendorResponse);
 
   } catch (error) {
@@ -223,11 +218,12 @@ router.get('/:eventId/vendors/:vendorId', async (req, res) => {
 });
 
 // Update a Vendor
-router.put('/:eventId/vendors/:vendorId', [
+router.put('/:eventId/vendors/:vendorId', authorizeEvent('vendors', 'write'), [
   body('companyName').optional().trim().isLength({ min: 1 }).withMessage('Company name cannot be empty'),
   body('contactName').optional().trim().isLength({ min: 1 }).withMessage('Contact name cannot be empty'),
   body('email').optional().isEmail().normalizeEmail().withMessage('Valid email is required'),
-  body('serviceProvided').optional().trim().isLength({ min: 1 }).withMessage('Service provided cannot be empty')
+  body('serviceProvided').optional().trim().isLength({ min: 1 }).withMessage('Service provided cannot be empty'),
+  body('isConfirmed').optional().isBoolean().withMessage('isConfirmed must be a boolean value')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -240,67 +236,61 @@ router.put('/:eventId/vendors/:vendorId', [
     const userId = req.user.id;
     const updates = req.body;
 
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
-
     // Find the vendor
-    const vendorIndex = vendors.findIndex(v => v.id === vendorId && v.eventId === eventId);
-    if (vendorIndex === -1) {
+    const vendor = await vendors.findOne({ id: vendorId, eventId });
+    if (!vendor) {
       return res.status(404).json({ error: 'Vendor not found' });
     }
 
-    const vendor = vendors[vendorIndex];
-
     // Update vendor fields
-    if (updates.companyName) vendor.companyName = updates.companyName;
-    if (updates.contactName) vendor.contactName = updates.contactName;
-    if (updates.email) vendor.email = updates.email;
-    if (updates.serviceProvided) vendor.serviceProvided = updates.serviceProvided;
+    const changes = {};
+    if (updates.companyName) changes.companyName = updates.companyName;
+    // A vendor slot from a template becomes a real vendor once it is named
+    if (updates.companyName && vendor.placeholder) changes.placeholder = false;
+    if (updates.contactName) changes.contactName = updates.contactName;
+    if (updates.email) changes.email = updates.email;
+    if (updates.serviceProvided) changes.serviceProvided = updates.serviceProvided;
+    if (updates.isConfirmed !== undefined) changes.isConfirmed = Boolean(updates.isConfirmed);
+
+    // Only write if the client saw the latest version (If-Match)
+    const updatedVendor = await vendors.update(vendor.id, changes, { expectedVersion: expectedVersion(req) });
+    await recordChange({ actorId: userId, eventId, entityType: 'vendor', action: 'update', before: vendor, after: updatedVendor });
 
     // Return updated vendor data (without internal fields)
-    const { eventId: _, createdAt: __, ...vendorResponse } = vendor;
+    const { eventId: _, createdAt: __, ...vendorResponse } = updatedVendor;
+    setETag(res, updatedVendor);
     res.json(vendorResponse);
 
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
     console.error('Update vendor error:', error);
     res.status(500).json({ error: 'Internal server error while updating vendor' });
   }
 });
 
 // Delete a Vendor
-router.delete('/:eventId/vendors/:vendorId', async (req, res) => {
+router.delete('/:eventId/vendors/:vendorId', authorizeEvent('vendors', 'write'), async (req, res) => {
   try {
     const { eventId, vendorId } = req.params;
     const userId = req.user.id;
 
-    // Verify event exists and user has access
-    const event = events.find(e => e.id === eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    if (event.hostId !== userId && !event.collaborators.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this event' });
-    }
-
-    // Find and remove the vendor
-    const vendorIndex = vendors.findIndex(v => v.id === vendorId && v.eventId === eventId);
-    if (vendorIndex === -1) {
+    // Find the vendor and move it to the trash
+    const vendor = await vendors.findOne({ id: vendorId, eventId });
+    if (!vendor) {
       return res.status(404).json({ error: 'Vendor not found' });
     }
 
-    vendors.splice(vendorIndex, 1);
+    await vendors.softRemove(vendor.id, { deletedBy: userId }, { expectedVersion: expectedVersion(req) });
+    await recordChange({ actorId: userId, eventId, entityType: 'vendor', action: 'delete', before: vendor });
 
     res.status(204).send();
 
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error.current);
+    }
     console.error('Delete vendor error:', error);
     res.status(500).json({ error: 'Internal server error while deleting vendor' });
   }
@@ -0,0 +1,460 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
+const { authenticateToken } = require('../middleware/auth');
+const { requireScope } = require('../middleware/scopes');
+const { authorizeEvent } = require('../middleware/permissions');
+const { webhooks, webhookDeliveries } = require('../data');
+const {
+  WEBHOOK_EVENT_TYPES,
+  generateSecret,
+  toPublicWebhook,
+  redeliver,
+  sendPing
+} = require('../services/webhooks');
+
+const router = express.Router();
+
+// Apply authentication to all webhook routes
+router.use(authenticateToken);
+router.use('/:eventId/webhooks', requireScope('events'));
+
+// Payloads carry every kind of record on the event, so only the owner manages webhooks
+const authorizeOwner = authorizeEvent('events', 'write');
+
+const urlValidation = () => body('url')
+  .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+  .withMessage('URL must be an http or https address');
+
+const eventTypesValidation = () => body('eventTypes')
+  .isArray({ min: 1 }).withMessage('Subscribe to at least one event type')
+  .custom(types => types.every(type => WEBHOOK_EVENT_TYPES.includes(type)))
+  .withMessage(`Event types must be among: ${WEBHOOK_EVENT_TYPES.join(', ')}`);
+
+// Load the webhook in req.params.webhookId, or answer 404
+const findWebhook = async (req, res) => {
+  const webhook = await webhooks.findOne({ id: req.params.webhookId, eventId: req.params.eventId });
+  if (!webhook) {
+    res.status(404).json({ error: 'Webhook not found' });
+  }
+  return webhook;
+};
+
+/**
+ * @swagger
+ * /api/events/{eventId}/webhooks:
+ *   get:
+ *     summary: List the webhooks of an event
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhooks, without their secrets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ *       403:
+ *         description: Only the owner can manage webhooks
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:eventId/webhooks', authorizeOwner, async (req, res) => {
+  try {
+    const eventWebhooks = await webhooks.find({ eventId: req.params.eventId });
+
+    res.json(eventWebhooks.map(toPublicWebhook));
+
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching webhooks' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/webhooks:
+ *   post:
+ *     summary: Subscribe a URL to changes on an event
+ *     description: Each matching change is POSTed as JSON and signed in the X-PlanPilot-Signature header ("t=<unix seconds>,v1=<hex>", the HMAC-SHA256 of "<t>.<body>" keyed with the secret). The secret is only returned here.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - eventTypes
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: "https://crm.example.com/planpilot"
+ *               eventTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["guest.rsvp_changed", "expense.paid"]
+ *               secret:
+ *                 type: string
+ *                 description: Signing secret of at least 16 characters; generated when left out
+ *     responses:
+ *       201:
+ *         description: Webhook created; the response includes the secret
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only the owner can manage webhooks
+ *       404:
+ *         description: Event not found
+ */
+router.post('/:eventId/webhooks', authorizeOwner, [
+  urlValidation(),
+  eventTypesValidation(),
+  body('secret').optional().isString().isLength({ min: 16, max: 200 }).withMessage('Secret must be between 16 and 200 characters')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { eventId } = req.params;
+    const { url, eventTypes, secret } = req.body;
+
+    const webhook = await webhooks.create({
+      id: uuidv4(),
+      eventId,
+      url,
+      eventTypes: [...new Set(eventTypes)],
+      secret: secret || generateSecret(),
+      active: true,
+      createdBy: req.user.id,
+      version: 1,
+      createdAt: new Date()
+    });
+
+    res.status(201).json({ ...toPublicWebhook(webhook), secret: webhook.secret });
+
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Internal server error while creating webhook' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/webhooks/{webhookId}:
+ *   put:
+ *     summary: Update a webhook
+ *     description: Inactive webhooks receive nothing until switched back on.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               eventTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Webhook not found
+ */
+router.put('/:eventId/webhooks/:webhookId', authorizeOwner, [
+  urlValidation().optional(),
+  eventTypesValidation().optional(),
+  body('active').optional().isBoolean().withMessage('active must be a boolean value')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const { url, eventTypes, active } = req.body;
+    const changes = {};
+    if (url !== undefined) changes.url = url;
+    if (eventTypes !== undefined) changes.eventTypes = [...new Set(eventTypes)];
+    if (active !== undefined) changes.active = active;
+
+    const updatedWebhook = await webhooks.update(webhook.id, changes);
+
+    res.json(toPublicWebhook(updatedWebhook));
+
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Internal server error while updating webhook' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/webhooks/{webhookId}:
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ */
+router.delete('/:eventId/webhooks/:webhookId', authorizeOwner, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    await webhooks.remove(webhook.id);
+    await webhookDeliveries.removeWhere({ webhookId: webhook.id });
+
+    res.status(204).send();
+
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Internal server error while deleting webhook' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/webhooks/{webhookId}/ping:
+ *   post:
+ *     summary: Send a webhook.ping delivery to check the receiver
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The delivery after its first attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:eventId/webhooks/:webhookId/ping', authorizeOwner, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    res.json(await sendPing(webhook));
+
+  } catch (error) {
+    console.error('Ping webhook error:', error);
+    res.status(500).json({ error: 'Internal server error while pinging webhook' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: Get the delivery log of a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:eventId/webhooks/:webhookId/deliveries', authorizeOwner, [
+  query('status').optional().isIn(['pending', 'succeeded', 'failed']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('offset must be a non-negative integer')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const { status } = req.query;
+    const limit = parseInt(req.query.limit || '50', 10);
+    const offset = parseInt(req.query.offset || '0', 10);
+
+    const deliveries = await webhookDeliveries.find(delivery =>
+      delivery.webhookId === webhook.id && (!status || delivery.status === status)
+    );
+    deliveries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({
+      total: deliveries.length,
+      deliveries: deliveries.slice(offset, offset + limit)
+    });
+
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ error: 'Internal server error while fetching deliveries' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/{eventId}/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery again
+ *     description: Creates a new delivery with the same payload (and payload id) and attempts it right away; failures are retried like any other delivery.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: The new delivery after its first attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook or delivery not found
+ */
+router.post('/:eventId/webhooks/:webhookId/deliveries/:deliveryId/redeliver', authorizeOwner, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await webhookDeliveries.findOne({ id: req.params.deliveryId, webhookId: webhook.id });
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.status(201).json(await redeliver(webhook, delivery));
+
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ error: 'Internal server error while redelivering webhook' });
+  }
+});
+
+module.exports = router;
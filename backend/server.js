@@ -4,14 +4,32 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./swagger');
+const { startTrashPurgeJob } = require('./services/trash');
+const { startNotificationJobs } = require('./services/notifications');
+const { startWebhookDispatcher } = require('./services/webhooks');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const accountRoutes = require('./routes/account');
+const tokenRoutes = require('./routes/tokens');
+const twoFactorRoutes = require('./routes/twoFactor');
 const eventRoutes = require('./routes/events');
 const taskRoutes = require('./routes/tasks');
 const guestRoutes = require('./routes/guests');
 const vendorRoutes = require('./routes/vendors');
 const expenseRoutes = require('./routes/expenses');
+const trashRoutes = require('./routes/trash');
+const historyRoutes = require('./routes/history');
+const collaboratorRoutes = require('./routes/collaborators');
+const invitationRoutes = require('./routes/invitations');
+const ownershipRoutes = require('./routes/ownership');
+const commentRoutes = require('./routes/comments');
+const activityRoutes = require('./routes/activity');
+const streamRoutes = require('./routes/stream');
+const notificationRoutes = require('./routes/notifications');
+const webhookRoutes = require('./routes/webhooks');
+const templateRoutes = require('./routes/templates');
+const sessionRoutes = require('./routes/sessions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -31,11 +49,27 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth', accountRoutes);
+app.use('/api/auth', tokenRoutes);
+app.use('/api/auth', twoFactorRoutes);
+// Trash routes go first so /api/events/trash is not taken for an event ID
+app.use('/api/events', trashRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/events', taskRoutes);
 app.use('/api/events', guestRoutes);
 app.use('/api/events', vendorRoutes);
 app.use('/api/events', expenseRoutes);
+app.use('/api/events', historyRoutes);
+app.use('/api/events', collaboratorRoutes);
+app.use('/api/events', ownershipRoutes);
+app.use('/api/events', commentRoutes);
+app.use('/api/events', activityRoutes);
+app.use('/api/events', streamRoutes);
+app.use('/api/events', webhookRoutes);
+app.use('/api/events', sessionRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/templates', templateRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -53,6 +87,11 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
+// Permanently remove trashed records once their retention window has passed
+startTrashPurgeJob();
+startNotificationJobs();
+startWebhookDispatcher();
+
 app.listen(PORT, () => {
   console.log(`🚀 PlanPilot API server running on port ${PORT}`);
   console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
@@ -0,0 +1,152 @@
+// Account service
+// Profile helpers and account deletion. Deleting an account has to leave the
+// events it touched in a consistent state: hosted events are handed to a
+// collaborator or deleted, memberships, task assignments and session leads are dropped.
+
+const db = require('../data');
+const { removeEventCascade } = require('./eventCleanup');
+const { recordChange } = require('./audit');
+
+// Fields that never leave the server
+const PRIVATE_USER_FIELDS = [
+  'password',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorLastStep',
+  'twoFactorRecoveryCodes'
+];
+
+const toPublicUser = (user) => {
+  const publicUser = { ...user };
+  PRIVATE_USER_FIELDS.forEach(field => delete publicUser[field]);
+  return publicUser;
+};
+
+const DEFAULT_PROFILE = {
+  timezone: 'UTC',
+  locale: 'en-US',
+  notificationPreferences: {},
+  notificationDigest: 'off'
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isValidLocale = (locale) => {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Work out what happens to each event the user hosts, without changing
+ * anything. Transfers go to the collaborator named in transfers[eventId], or
+ * the first collaborator when none is named.
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} options.ownedEvents - 'transfer' or 'delete'
+ * @param {Object} [options.transfers] - eventId -> new host userId
+ * @returns {Promise<{plan: Array, problems: Array}>}
+ */
+const planOwnedEvents = async (userId, { ownedEvents, transfers = {} }) => {
+  const hosted = await db.events.find({ hostId: userId }, { withDeleted: true });
+  const plan = [];
+  const problems = [];
+
+  hosted.forEach(event => {
+    // Trashed events are not worth handing over
+    if (ownedEvents === 'delete' || event.deletedAt) {
+      plan.push({ event, action: 'delete' });
+      return;
+    }
+
+    const newHostId = transfers[event.id] || event.collaborators[0];
+    if (!newHostId) {
+      problems.push({ eventId: event.id, name: event.name, error: 'Event has no collaborator to transfer it to' });
+    } else if (!event.collaborators.includes(newHostId)) {
+      problems.push({ eventId: event.id, name: event.name, error: 'New host must be a collaborator of the event' });
+    } else {
+      plan.push({ event, action: 'transfer', newHostId });
+    }
+  });
+
+  return { plan, problems };
+};
+
+/**
+ * Delete a user account after its hosted events have been planned with
+ * planOwnedEvents.
+ * @param {Object} user
+ * @param {Array} plan - Result of planOwnedEvents
+ * @returns {Promise<Object>} Summary of what happened to the user's data
+ */
+const deleteAccount = async (user, plan) => {
+  const summary = { transferredEvents: [], deletedEvents: [], leftEvents: 0, unassignedTasks: 0, unassignedSessions: 0 };
+
+  for (const { event, action, newHostId } of plan) {
+    if (action === 'delete') {
+      await removeEventCascade(event);
+      summary.deletedEvents.push(event.id);
+    } else {
+      const { [newHostId]: _, ...roles } = event.roles || {};
+      const updatedEvent = await db.events.update(event.id, {
+        hostId: newHostId,
+        collaborators: event.collaborators.filter(id => id !== newHostId),
+        roles
+      });
+      await recordChange({ actorId: user.id, eventId: event.id, entityType: 'event', action: 'update', before: event, after: updatedEvent });
+      summary.transferredEvents.push({ eventId: event.id, newHostId });
+    }
+  }
+
+  // Leave every event the user collaborates on
+  const memberships = await db.events.find(event => event.collaborators.includes(user.id), { withDeleted: true });
+  for (const event of memberships) {
+    const { [user.id]: _, ...roles } = event.roles || {};
+    await db.events.update(event.id, { collaborators: event.collaborators.filter(id => id !== user.id), roles });
+  }
+  summary.leftEvents = memberships.length;
+
+  // Nobody is left to do the user's tasks
+  const assignedTasks = await db.tasks.find({ assigneeId: user.id }, { withDeleted: true });
+  for (const task of assignedTasks) {
+    await db.tasks.update(task.id, { assigneeId: null });
+  }
+  summary.unassignedTasks = assignedTasks.length;
+
+  const ledSessions = await db.agendaSessions.find({ responsibleId: user.id }, { withDeleted: true });
+  for (const session of ledSessions) {
+    await db.agendaSessions.update(session.id, { responsibleId: null });
+  }
+  summary.unassignedSessions = ledSessions.length;
+
+  // Dropping the sessions also kills every access token still around
+  await db.sessions.removeWhere({ userId: user.id });
+  await db.refreshTokens.removeWhere({ userId: user.id });
+  await db.personalAccessTokens.removeWhere({ userId: user.id });
+  await db.activityReads.removeWhere({ userId: user.id });
+  await db.notifications.removeWhere({ userId: user.id });
+  await db.eventTemplates.removeWhere({ ownerId: user.id });
+  await db.oneTimeTokens.removeWhere({ userId: user.id });
+  await db.securityEvents.removeWhere({ userId: user.id });
+  await db.users.remove(user.id);
+
+  return summary;
+};
+
+module.exports = {
+  DEFAULT_PROFILE,
+  toPublicUser,
+  isValidTimezone,
+  isValidLocale,
+  planOwnedEvents,
+  deleteAccount
+};
@@ -0,0 +1,160 @@
+// Activity feed service
+// Reads the audit log of an event back as short sentences ("Ann completed
+// task "Order cake"") so members can catch up without diffing fields. Each
+// member's activityReads record holds the moment they last caught up.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { ENTITY_COLLECTIONS } = require('./audit');
+
+// Field that names a record of each entity type
+const NAME_FIELDS = {
+  event: 'name',
+  task: 'name',
+  guest: 'name',
+  vendor: 'companyName',
+  expense: 'name',
+  session: 'title'
+};
+
+const findChange = (entry, field) => entry.changes.find(change => change.field === field);
+
+// What happened, without the actor: "completed task "Order cake""
+const describeAction = (entry, subject) => {
+  if (entry.revertOf) {
+    return `reverted a change to ${subject}`;
+  }
+
+  switch (entry.action) {
+    case 'create':
+      return entry.entityType === 'event' ? `created ${subject}` : `added ${subject}`;
+    case 'delete':
+      return `deleted ${subject}`;
+    case 'restore':
+      return `restored ${subject}`;
+    default:
+      break;
+  }
+
+  const status = findChange(entry, 'status');
+  if (entry.entityType === 'task' && status) {
+    return status.after === 'Completed' ? `completed ${subject}` : `moved ${subject} to ${status.after}`;
+  }
+
+  if (entry.entityType === 'event' && status) {
+    if (status.before === 'Archived') {
+      return `took ${subject} out of the archive`;
+    }
+    return status.after === 'Cancelled' ? `cancelled ${subject}` : `moved ${subject} to ${status.after}`;
+  }
+
+  const rsvp = findChange(entry, 'rsvpStatus');
+  if (entry.entityType === 'guest' && rsvp) {
+    return `changed the RSVP of ${subject} to ${rsvp.after}`;
+  }
+
+  const paid = findChange(entry, 'isPaid');
+  if (entry.entityType === 'expense' && paid) {
+    return `marked ${subject} as ${paid.after ? 'paid' : 'unpaid'}`;
+  }
+
+  if (entry.entityType === 'event' && findChange(entry, 'hostId')) {
+    return `became the owner of ${subject}`;
+  }
+
+  const members = findChange(entry, 'collaborators');
+  if (entry.entityType === 'event' && members) {
+    const before = members.before || [];
+    const after = members.after || [];
+    if (after.length > before.length) {
+      return after.includes(entry.actorId) && !before.includes(entry.actorId)
+        ? `joined ${subject}`
+        : `added a collaborator to ${subject}`;
+    }
+    return before.includes(entry.actorId) && !after.includes(entry.actorId)
+      ? `left ${subject}`
+      : `removed a collaborator from ${subject}`;
+  }
+
+  if (entry.entityType === 'event' && entry.changes.length === 1 && findChange(entry, 'roles')) {
+    return `changed a collaborator's role on ${subject}`;
+  }
+
+  return `updated ${entry.changes.map(change => change.field).join(', ')} of ${subject}`;
+};
+
+// Current name of the record, falling back to what the log remembers
+const recordName = async (entry) => {
+  const record = await db[ENTITY_COLLECTIONS[entry.entityType]].findById(entry.entityId, { withDeleted: true });
+  const field = NAME_FIELDS[entry.entityType];
+  const logged = findChange(entry, field);
+  return record?.[field] ?? logged?.after ?? logged?.before ?? null;
+};
+
+// Changes made since the reader last caught up, other than their own
+const isUnread = (entry, lastReadAt, readerId) =>
+  entry.actorId !== readerId && (!lastReadAt || new Date(entry.timestamp) > new Date(lastReadAt));
+
+/**
+ * Turn audit entries into feed items.
+ * @param {Array} entries - Audit entries, in feed order
+ * @param {Date|null} lastReadAt - When the reader last caught up
+ * @param {string} readerId - Own changes are never unread
+ * @returns {Promise<Array>}
+ */
+const toActivities = async (entries, lastReadAt, readerId) => {
+  const actorIds = [...new Set(entries.map(entry => entry.actorId))];
+  const actors = await db.users.find(user => actorIds.includes(user.id));
+  const actorName = (id) => actors.find(user => user.id === id)?.name || 'A former member';
+
+  return Promise.all(entries.map(async (entry) => {
+    const name = await recordName(entry);
+    const subject = entry.entityType === 'event'
+      ? `the event${name ? ` "${name}"` : ''}`
+      : `${entry.entityType}${name ? ` "${name}"` : ''}`;
+
+    return {
+      id: entry.id,
+      entityType: entry.entityType,
+      entityId: entry.entityId,
+      action: entry.action,
+      actorId: entry.actorId,
+      message: `${actorName(entry.actorId)} ${describeAction(entry, subject)}`,
+      timestamp: entry.timestamp,
+      unread: isUnread(entry, lastReadAt, readerId)
+    };
+  }));
+};
+
+const getLastReadAt = async (eventId, userId) => {
+  const marker = await db.activityReads.findOne({ eventId, userId });
+  return marker ? marker.lastReadAt : null;
+};
+
+/**
+ * Move a member's "read up to" marker. The marker never moves backwards.
+ * @param {string} eventId
+ * @param {string} userId
+ * @param {Date} [readAt=now]
+ * @returns {Promise<Date>} The stored marker
+ */
+const markRead = async (eventId, userId, readAt = new Date()) => {
+  const marker = await db.activityReads.findOne({ eventId, userId });
+  if (!marker) {
+    await db.activityReads.create({ id: uuidv4(), eventId, userId, lastReadAt: readAt });
+    return readAt;
+  }
+
+  if (new Date(marker.lastReadAt) >= readAt) {
+    return marker.lastReadAt;
+  }
+  await db.activityReads.update(marker.id, { lastReadAt: readAt });
+  return readAt;
+};
+
+module.exports = {
+  isUnread,
+  toActivities,
+  getLastReadAt,
+  markRead
+};
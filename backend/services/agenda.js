@@ -0,0 +1,219 @@
+// Agenda service
+// Sessions break an event into a schedule: each has a start and end time and
+// optionally a location, a responsible member and the vendors involved.
+//
+// Two sessions conflict when their times overlap and they share a location
+// (compared case-insensitively), the responsible member or a vendor. Sessions
+// that merely touch (one ends as the next starts) do not overlap. A vendor that
+// has been deleted still sits in vendorIds but no longer ties sessions
+// together.
+
+const db = require('../data');
+
+const normaliseLocation = (location) => (location || '').trim().toLowerCase();
+
+const overlaps = (a, b) =>
+  new Date(a.startsAt) < new Date(b.endsAt) && new Date(b.startsAt) < new Date(a.endsAt);
+
+// What two overlapping sessions have in common, counting only the vendors
+// in vendorIds
+const sharedResources = (a, b, vendorIds) => {
+  const shared = [];
+  if (normaliseLocation(a.location) && normaliseLocation(a.location) === normaliseLocation(b.location)) {
+    shared.push({ type: 'location', location: b.location });
+  }
+  if (a.responsibleId && a.responsibleId === b.responsibleId) {
+    shared.push({ type: 'responsible', userId: b.responsibleId });
+  }
+  (a.vendorIds || [])
+    .filter(vendorId => vendorIds.has(vendorId) && (b.vendorIds || []).includes(vendorId))
+    .forEach(vendorId => shared.push({ type: 'vendor', vendorId }));
+  return shared;
+};
+
+/**
+ * IDs of the vendors an event still has, for the clash checks.
+ * @param {string} eventId
+ * @returns {Promise<Set<string>>}
+ */
+const eventVendorIds = async (eventId) =>
+  new Set((await db.vendors.find({ eventId })).map(vendor => vendor.id));
+
+/**
+ * Sessions that clash with a session.
+ * @param {Object} session - The session, saved or about to be
+ * @param {Array} others - The event's sessions; the session itself is skipped
+ * @param {Set<string>} vendorIds - From eventVendorIds
+ * @returns {Array<{sessionId: string, title: string, startsAt: Date, endsAt: Date, shared: Array}>}
+ */
+const findConflicts = (session, others, vendorIds) => others
+  .filter(other => other.id !== session.id && overlaps(session, other))
+  .map(other => ({
+    sessionId: other.id,
+    title: other.title,
+    startsAt: other.startsAt,
+    endsAt: other.endsAt,
+    shared: sharedResources(session, other, vendorIds)
+  }))
+  .filter(conflict => conflict.shared.length > 0);
+
+/**
+ * Every clashing pair of sessions, each pair once.
+ * @param {Array} sessions
+ * @param {Set<string>} vendorIds - From eventVendorIds
+ * @returns {Array<{sessionIds: string[], shared: Array}>}
+ */
+const listConflicts = (sessions, vendorIds) => {
+  const pairs = [];
+  sessions.forEach((session, index) => {
+    sessions.slice(index + 1)
+      .filter(other => overlaps(session, other))
+      .forEach(other => {
+        const shared = sharedResources(session, other, vendorIds);
+        if (shared.length > 0) {
+          pairs.push({ sessionIds: [session.id, other.id], shared });
+        }
+      });
+  });
+  return pairs;
+};
+
+/**
+ * Why a session's references are invalid, or null when they are fine: the
+ * responsible person must be a member of the event and vendors must be its own.
+ * @param {Object} event
+ * @param {Object} references
+ * @param {string|null} [references.responsibleId]
+ * @param {string[]} [references.vendorIds]
+ * @returns {Promise<string|null>}
+ */
+const checkReferences = async (event, { responsibleId, vendorIds }) => {
+  if (responsibleId && responsibleId !== event.hostId && !event.collaborators.includes(responsibleId)) {
+    return 'The responsible person must be a member of the event';
+  }
+
+  for (const vendorId of vendorIds || []) {
+    if (!await db.vendors.findOne({ id: vendorId, eventId: event.id })) {
+      return `Vendor ${vendorId} is not a vendor of this event`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check a session that comes back from the trash or the history against the
+ * event as it is now. It cannot be edited before it is back, so references
+ * that no longer hold (a responsible person who left the event, deleted
+ * vendors) are dropped instead of refused.
+ * @param {Object} event
+ * @param {Object} session - The session as it would come back
+ * @returns {Promise<{changes: Object, conflicts: Array}>} Changes that drop the
+ * stale references (empty when there are none) and the clashes that remain
+ */
+const checkReturningSession = async (event, session) => {
+  const vendorIds = await eventVendorIds(event.id);
+  const changes = {};
+
+  const { responsibleId } = session;
+  if (responsibleId && responsibleId !== event.hostId && !event.collaborators.includes(responsibleId)) {
+    changes.responsibleId = null;
+  }
+  const liveVendorIds = (session.vendorIds || []).filter(vendorId => vendorIds.has(vendorId));
+  if (liveVendorIds.length !== (session.vendorIds || []).length) {
+    changes.vendorIds = liveVendorIds;
+  }
+
+  const others = await db.agendaSessions.find({ eventId: event.id });
+  return { changes, conflicts: findConflicts({ ...session, ...changes }, others, vendorIds) };
+};
+
+// Start time first, then the shorter session, then by title
+const compareSessions = (a, b) =>
+  new Date(a.startsAt) - new Date(b.startsAt)
+  || new Date(a.endsAt) - new Date(b.endsAt)
+  || a.title.localeCompare(b.title);
+
+/**
+ * The agenda in running order, grouped by day in a time zone, with names
+ * filled in for people and vendors.
+ * @param {Object} event
+ * @param {Object} options
+ * @param {string} options.timezone - IANA time zone for days and times
+ * @param {boolean} options.includeVendors - Whether the reader may see vendors
+ * @returns {Promise<Array<{date: string, sessions: Array}>>}
+ */
+const buildRunOfShow = async (event, { timezone, includeVendors }) => {
+  const sessions = (await db.agendaSessions.find({ eventId: event.id })).sort(compareSessions);
+  const eventVendors = includeVendors ? await db.vendors.find({ eventId: event.id }) : [];
+
+  const day = new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  const time = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+  const days = [];
+  for (const [index, session] of sessions.entries()) {
+    const date = day.format(new Date(session.startsAt));
+    if (days.length === 0 || days[days.length - 1].date !== date) {
+      days.push({ date, sessions: [] });
+    }
+
+    const responsible = session.responsibleId ? await db.users.findById(session.responsibleId) : null;
+    days[days.length - 1].sessions.push({
+      position: index + 1,
+      id: session.id,
+      title: session.title,
+      start: time.format(new Date(session.startsAt)),
+      end: time.format(new Date(session.endsAt)),
+      startsAt: session.startsAt,
+      endsAt: session.endsAt,
+      location: session.location || null,
+      responsible: responsible ? responsible.name : null,
+      vendors: eventVendors
+        .filter(vendor => (session.vendorIds || []).includes(vendor.id))
+        .map(vendor => vendor.companyName),
+      description: session.description || ''
+    });
+  }
+
+  return days;
+};
+
+/**
+ * Plain-text run-of-show for printing.
+ * @param {Object} event
+ * @param {Array} days - From buildRunOfShow
+ * @param {string} timezone
+ * @returns {string}
+ */
+const formatRunOfShow = (event, days, timezone) => {
+  const lines = [`Run of show: ${event.name}`, `Times in ${timezone}`];
+
+  days.forEach(({ date, sessions }) => {
+    lines.push('', date);
+    sessions.forEach(session => {
+      const details = [
+        session.location,
+        session.responsible && `lead: ${session.responsible}`,
+        session.vendors.length > 0 && `vendors: ${session.vendors.join(', ')}`
+      ].filter(Boolean);
+      lines.push(`${String(session.position).padStart(3)}. ${session.start}-${session.end}  ${session.title}` +
+        (details.length > 0 ? `  (${details.join('; ')})` : ''));
+    });
+  });
+
+  if (days.length === 0) {
+    lines.push('', 'No sessions scheduled.');
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  eventVendorIds,
+  findConflicts,
+  listConflicts,
+  checkReferences,
+  checkReturningSession,
+  buildRunOfShow,
+  formatRunOfShow
+};
@@ -0,0 +1,247 @@
+// Audit service
+// Records who changed what on an event, field by field, and knows how to undo
+// a single recorded change. Every create, update, delete and restore in the
+// event routers goes through recordChange.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { trashEventCascade, restoreEventCascade } = require('./eventCleanup');
+const { publishChange } = require('./realtime');
+const { eventVendorIds, findConflicts, checkReferences, checkReturningSession } = require('./agenda');
+
+// Entity type recorded in the log -> collection holding the entity
+const ENTITY_COLLECTIONS = {
+  event: 'events',
+  task: 'tasks',
+  guest: 'guests',
+  vendor: 'vendors',
+  expense: 'expenses',
+  session: 'agendaSessions'
+};
+
+// Event fields a revert must not write back, with the reason given. The
+// status only moves through allowed transitions (see eventLifecycle), the
+// owner only changes when the nominee accepts (see ownershipTransfer) and
+// members only join by accepting an invitation (see invitations).
+const STATUS_REFUSAL = 'Status changes cannot be reverted; change the event status instead';
+const OWNERSHIP_REFUSAL = 'Ownership changes cannot be reverted; transfer the event instead';
+const MEMBERSHIP_REFUSAL = 'Membership changes cannot be reverted; invite or remove the collaborator instead';
+const PROTECTED_EVENT_FIELDS = {
+  status: STATUS_REFUSAL,
+  statusChangedAt: STATUS_REFUSAL,
+  archivedFrom: STATUS_REFUSAL,
+  hostId: OWNERSHIP_REFUSAL,
+  collaborators: MEMBERSHIP_REFUSAL,
+  roles: MEMBERSHIP_REFUSAL
+};
+
+// Bookkeeping fields that never show up in a diff
+const IGNORED_FIELDS = ['id', 'eventId', 'version', 'createdAt', 'deletedAt', 'deletedBy', 'deletedWithEvent'];
+
+class RevertError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'RevertError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Dates and arrays compare by value
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-level differences between two versions of a record. Either side may
+ * be null for creations and deletions.
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+const diffRecords = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => !isSameValue(before?.[field], after?.[field]))
+    .map(field => ({
+      field,
+      before: before?.[field] ?? null,
+      after: after?.[field] ?? null
+    }));
+};
+
+/**
+ * Append an entry to the audit log and publish it to open streams. Updates
+ * that change nothing are skipped.
+ * @param {Object} change
+ * @param {string} change.actorId - ID of the user making the change
+ * @param {string} change.eventId - Event the entity belongs to
+ * @param {string} change.entityType - One of the ENTITY_COLLECTIONS keys
+ * @param {string} change.action - create, update, delete or restore
+ * @param {Object|null} change.before - Record before the change
+ * @param {Object|null} change.after - Record after the change
+ * @param {string} [change.revertOf] - ID of the entry this change reverts
+ * @returns {Promise<Object|null>} The stored entry
+ */
+const recordChange = async ({ actorId, eventId, entityType, action, before = null, after = null, revertOf = null }) => {
+  const changes = diffRecords(before, after);
+  if (action === 'update' && changes.length === 0) {
+    return null;
+  }
+
+  const entry = {
+    id: uuidv4(),
+    eventId,
+    entityType,
+    entityId: (after || before).id,
+    action,
+    actorId,
+    changes,
+    revertOf,
+    timestamp: new Date()
+  };
+
+  const stored = await db.auditLogs.create(entry);
+  publishChange(stored, after);
+  return stored;
+};
+
+/**
+ * Audit entries for an event, newest first.
+ * @param {string} eventId
+ * @param {Object} [filters] - entityType, entityId, actorId, action, since, until
+ * @returns {Promise<Array>}
+ */
+const listHistory = async (eventId, filters = {}) => {
+  const { entityType, entityId, actorId, action, since, until } = filters;
+
+  const entries = await db.auditLogs.find(entry =>
+    entry.eventId === eventId &&
+    (!entityType || entry.entityType === entityType) &&
+    (!entityId || entry.entityId === entityId) &&
+    (!actorId || entry.actorId === actorId) &&
+    (!action || entry.action === action) &&
+    (!since || new Date(entry.timestamp) >= new Date(since)) &&
+    (!until || new Date(entry.timestamp) <= new Date(until))
+  );
+
+  return entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+};
+
+// A session that a revert brings back or moves must fit the agenda, as when
+// it is saved
+const refuseClashes = (conflicts, allowConflicts) => {
+  if (conflicts.length > 0 && !allowConflicts) {
+    throw new RevertError(409, 'The session would clash with other sessions; send allowConflicts to revert anyway', conflicts);
+  }
+};
+
+/**
+ * Undo a single audit entry. Updates are only reverted while the fields still
+ * hold the values the entry wrote, so later edits are never silently lost.
+ * Event status, ownership and membership changes are refused; they have
+ * their own flows. Sessions get the same checks as when they are saved.
+ * @param {Object} entry - The audit entry to revert
+ * @param {string} actorId - ID of the user reverting
+ * @param {Object} [options]
+ * @param {boolean} [options.allowConflicts] - Revert a session even if it clashes with others
+ * @returns {Promise<Object>} The new audit entry describing the revert
+ */
+const revertChange = async (entry, actorId, { allowConflicts = false } = {}) => {
+  const repository = db[ENTITY_COLLECTIONS[entry.entityType]];
+  const current = await repository.findById(entry.entityId, { withDeleted: true });
+  if (!current) {
+    throw new RevertError(409, 'The record no longer exists and cannot be reverted');
+  }
+
+  const log = (action, after) => recordChange({
+    actorId,
+    eventId: entry.eventId,
+    entityType: entry.entityType,
+    action,
+    before: current,
+    after,
+    revertOf: entry.id
+  });
+
+  switch (entry.action) {
+    case 'update': {
+      if (current.deletedAt) {
+        throw new RevertError(409, 'Restore the record before reverting its changes');
+      }
+      const refusal = entry.entityType === 'event' && entry.changes
+        .map(change => PROTECTED_EVENT_FIELDS[change.field])
+        .find(Boolean);
+      if (refusal) {
+        throw new RevertError(409, refusal);
+      }
+
+      const conflicts = entry.changes
+        .filter(change => !isSameValue(current[change.field], change.after))
+        .map(change => ({ field: change.field, expected: change.after, current: current[change.field] ?? null }));
+      if (conflicts.length > 0) {
+        throw new RevertError(409, 'The record has changed since this entry was recorded', conflicts);
+      }
+
+      const changes = {};
+      entry.changes.forEach(change => {
+        changes[change.field] = change.before;
+      });
+
+      if (entry.entityType === 'session') {
+        const reverted = { ...current, ...changes };
+        if (new Date(reverted.endsAt) <= new Date(reverted.startsAt)) {
+          throw new RevertError(409, 'A session must end after it starts');
+        }
+        const referenceError = await checkReferences(await db.events.findById(entry.eventId), reverted);
+        if (referenceError) {
+          throw new RevertError(409, referenceError);
+        }
+        const others = await db.agendaSessions.find({ eventId: entry.eventId });
+        refuseClashes(findConflicts(reverted, others, await eventVendorIds(entry.eventId)), allowConflicts);
+      }
+
+      return log('update', await repository.update(entry.entityId, changes));
+    }
+
+    case 'create':
+    case 'restore': {
+      if (current.deletedAt) {
+        throw new RevertError(409, 'The record is already deleted');
+      }
+      if (entry.entityType === 'event') {
+        await trashEventCascade(current, actorId);
+      } else {
+        await repository.softRemove(entry.entityId, { deletedBy: actorId });
+      }
+      return log('delete', null);
+    }
+
+    case 'delete': {
+      if (!current.deletedAt) {
+        throw new RevertError(409, 'The record is not deleted');
+      }
+      if (entry.entityType === 'session') {
+        const { changes, conflicts } = await checkReturningSession(await db.events.findById(entry.eventId), current);
+        refuseClashes(conflicts, allowConflicts);
+        const restored = await repository.restore(entry.entityId);
+        return log('restore', Object.keys(changes).length > 0 ? await repository.update(entry.entityId, changes) : restored);
+      }
+
+      const restored = entry.entityType === 'event'
+        ? (await restoreEventCascade(current)).event
+        : await repository.restore(entry.entityId);
+      return log('restore', restored);
+    }
+
+    default:
+      throw new RevertError(400, `Changes of type "${entry.action}" cannot be reverted`);
+  }
+};
+
+module.exports = {
+  ENTITY_COLLECTIONS,
+  RevertError,
+  diffRecords,
+  recordChange,
+  listHistory,
+  revertChange
+};
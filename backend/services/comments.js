@@ -0,0 +1,61 @@
+// Comment service
+// Comments hang off a task, guest, vendor or expense (resource + recordId).
+// Threads are one level deep: a comment either starts a thread or replies to
+// one. Members are mentioned by writing @ followed by their email address.
+
+const db = require('../data');
+
+const COMMENT_RESOURCES = ['tasks', 'guests', 'vendors', 'expenses'];
+
+const MENTION_PATTERN = /@([^\s@]+@[^\s@]+\.[^\s@]+)/g;
+
+/**
+ * Members of the event mentioned in a comment body.
+ * @param {string} body
+ * @param {Object} event
+ * @returns {Promise<string[]>} User IDs, without duplicates
+ */
+const resolveMentions = async (body, event) => {
+  const emails = [...body.matchAll(MENTION_PATTERN)]
+    .map(match => match[1].replace(/[.,;:!?)]+$/, '').toLowerCase());
+  if (emails.length === 0) {
+    return [];
+  }
+
+  const memberIds = [event.hostId, ...event.collaborators];
+  const mentioned = await db.users.find(user => memberIds.includes(user.id) && emails.includes(user.email.toLowerCase()));
+  return mentioned.map(user => user.id);
+};
+
+/**
+ * Comments on a record arranged as threads, oldest first. A deleted comment
+ * that still has replies stays in as a placeholder without its body.
+ * @param {string} resource
+ * @param {string} recordId
+ * @returns {Promise<Array>}
+ */
+const listThreads = async (resource, recordId) => {
+  const comments = await db.comments.find({ resource, recordId }, { withDeleted: true });
+  comments.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const repliesTo = (parentId) => comments.filter(comment => comment.parentId === parentId && !comment.deletedAt);
+
+  return comments
+    .filter(comment => !comment.parentId)
+    .map(comment => ({ comment, replies: repliesTo(comment.id) }))
+    .filter(({ comment, replies }) => !comment.deletedAt || replies.length > 0)
+    .map(({ comment, replies }) => (comment.deletedAt
+      ? { id: comment.id, deleted: true, createdAt: comment.createdAt, replies }
+      : { ...comment, replies }));
+};
+
+// Drop the comments of records that are gone for good
+const removeCommentsFor = async (resource, recordIds) =>
+  db.comments.removeWhere(comment => comment.resource === resource && recordIds.includes(comment.recordId));
+
+module.exports = {
+  COMMENT_RESOURCES,
+  resolveMentions,
+  listThreads,
+  removeCommentsFor
+};
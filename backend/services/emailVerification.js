@@ -0,0 +1,109 @@
+// Email verification service
+// New accounts start unverified and receive a verification link. Until they
+// follow it, the actions listed in UNVERIFIED_USER_RESTRICTIONS are refused
+// (see requireVerifiedEmail in middleware/verification.js).
+//
+// Changing the address works the same way: the new address is kept as
+// pendingEmail and only replaces the current one once its link is followed.
+
+const { users, oneTimeTokens } = require('../data');
+const { issueToken, consumeToken } = require('./oneTimeTokens');
+const { sendMail, appLink } = require('./mailer');
+
+const VERIFICATION_TTL_HOURS = parseInt(process.env.VERIFICATION_TTL_HOURS || '48', 10);
+const VERIFICATION_RESEND_INTERVAL_SECONDS = parseInt(process.env.VERIFICATION_RESEND_INTERVAL_SECONDS || '60', 10);
+
+// Actions an unverified user may not perform
+const UNVERIFIED_USER_RESTRICTIONS = (process.env.UNVERIFIED_USER_RESTRICTIONS || 'invite-collaborators,email-guests')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+const isActionAllowed = (user, action) =>
+  Boolean(user && (user.emailVerified || !UNVERIFIED_USER_RESTRICTIONS.includes(action)));
+
+/**
+ * Mail a verification link for an address of the user.
+ * @param {Object} user
+ * @param {string} [email] - Address to verify, defaults to the current one
+ */
+const sendVerificationEmail = async (user, email = user.email) => {
+  const token = await issueToken(
+    user.id,
+    'email-verification',
+    VERIFICATION_TTL_HOURS * 60 * 60 * 1000,
+    { email }
+  );
+
+  await sendMail({
+    to: email,
+    subject: 'Confirm your PlanPilot email address',
+    text: `Hi ${user.name},\n\n` +
+      'Please confirm your email address by opening the link below:\n\n' +
+      `${appLink('/api/auth/verify', { token })}\n\n` +
+      `The link is valid for ${VERIFICATION_TTL_HOURS} hours.`
+  });
+};
+
+/**
+ * Seconds the user has to wait before another verification email may be
+ * sent, or 0 when one can go out now.
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+const resendWaitSeconds = async (userId) => {
+  const sent = await oneTimeTokens.find({ userId, purpose: 'email-verification' });
+  if (sent.length === 0) {
+    return 0;
+  }
+
+  const lastSentAt = Math.max(...sent.map(token => new Date(token.createdAt).getTime()));
+  const elapsedSeconds = (Date.now() - lastSentAt) / 1000;
+  return Math.max(0, Math.ceil(VERIFICATION_RESEND_INTERVAL_SECONDS - elapsedSeconds));
+};
+
+/**
+ * Mark the address a token was issued for as verified.
+ * @param {string} token
+ * @returns {Promise<Object|null>} The updated user, or null for a bad token
+ */
+const verifyEmail = async (token) => {
+  const record = await consumeToken(token, 'email-verification');
+  if (!record) {
+    return null;
+  }
+
+  // The token only vouches for the address it was sent to
+  const user = await users.findById(record.userId);
+  if (!user) {
+    return null;
+  }
+
+  if (user.email === record.data.email) {
+    return users.update(user.id, { emailVerified: true, emailVerifiedAt: new Date() });
+  }
+
+  if (user.pendingEmail === record.data.email) {
+    // Someone may have signed up with the address in the meantime
+    const taken = await users.findOne({ email: user.pendingEmail });
+    if (taken) {
+      return null;
+    }
+    return users.update(user.id, {
+      email: user.pendingEmail,
+      pendingEmail: null,
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+  }
+
+  return null;
+};
+
+module.exports = {
+  UNVERIFIED_USER_RESTRICTIONS,
+  isActionAllowed,
+  sendVerificationEmail,
+  resendWaitSeconds,
+  verifyEmail
+};
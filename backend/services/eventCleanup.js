@@ -0,0 +1,128 @@
+// Event cleanup service
+// Removes an event together with every record that hangs off it so that
+// reports and totals never pick up orphaned data. In archive mode the records
+// are copied into "<collection>Archive" collections before being removed.
+// Trashing is the reversible variant: the event and its live records are
+// soft-deleted together and come back together on restore.
+
+const db = require('../data');
+
+// Collections whose records belong to an event through their eventId
+const EVENT_RESOURCES = ['tasks', 'guests', 'vendors', 'expenses', 'agendaSessions'];
+
+// Per-event bookkeeping that is dropped with the event but never trashed or
+// archived on its own
+const EVENT_METADATA = [
+  'invitations',
+  'ownershipTransfers',
+  'comments',
+  'activityReads',
+  'notifications',
+  'webhooks',
+  'webhookDeliveries'
+];
+
+const archiveRecords = async (collection, records, archivedAt) => {
+  const archive = db.repository(`${collection}Archive`);
+  for (const record of records) {
+    await archive.create({ ...record, archivedAt });
+  }
+};
+
+/**
+ * Delete (or archive) an event and all of its child records.
+ * @param {Object} event - The event record to remove
+ * @param {Object} [options]
+ * @param {boolean} [options.archive=false] - Keep a copy of everything in the archive collections
+ * @returns {Promise<Object>} Summary of what was removed
+ */
+const removeEventCascade = async (event, { archive = false } = {}) => {
+  const archivedAt = new Date();
+  const removed = {};
+
+  // Children first so a failure never leaves records pointing at a missing event
+  for (const resource of EVENT_RESOURCES) {
+    const records = await db[resource].find({ eventId: event.id }, { withDeleted: true });
+    if (archive) {
+      await archiveRecords(resource, records, archivedAt);
+    }
+    await db[resource].removeWhere({ eventId: event.id });
+    removed[resource] = records.length;
+  }
+
+  for (const collection of EVENT_METADATA) {
+    await db[collection].removeWhere({ eventId: event.id });
+  }
+
+  if (archive) {
+    await archiveRecords('events', [event], archivedAt);
+  }
+  await db.events.remove(event.id);
+
+  return {
+    eventId: event.id,
+    mode: archive ? 'archived' : 'deleted',
+    removed
+  };
+};
+
+/**
+ * Move an event and its live child records to the trash.
+ * @param {Object} event - The event record to trash
+ * @param {string} deletedBy - ID of the user deleting the event
+ * @returns {Promise<Object>} Summary of what was trashed
+ */
+const trashEventCascade = async (event, deletedBy) => {
+  const deletedAt = new Date();
+  const removed = {};
+
+  // Records already in the trash keep their own deletion so restoring the
+  // event does not bring them back
+  for (const resource of EVENT_RESOURCES) {
+    const records = await db[resource].find({ eventId: event.id });
+    for (const record of records) {
+      await db[resource].softRemove(record.id, { deletedAt, deletedBy, deletedWithEvent: true });
+    }
+    removed[resource] = records.length;
+  }
+
+  await db.events.softRemove(event.id, { deletedAt, deletedBy });
+
+  return {
+    eventId: event.id,
+    mode: 'trashed',
+    removed
+  };
+};
+
+/**
+ * Restore a trashed event together with the records trashed alongside it.
+ * @param {Object} event - The trashed event record
+ * @returns {Promise<Object>} The restored event and how many records came back
+ */
+const restoreEventCascade = async (event) => {
+  const restored = {};
+
+  for (const resource of EVENT_RESOURCES) {
+    const records = await db[resource].find(
+      { eventId: event.id, deletedWithEvent: true },
+      { withDeleted: true }
+    );
+    for (const record of records) {
+      await db[resource].restore(record.id);
+    }
+    restored[resource] = records.length;
+  }
+
+  const restoredEvent = await db.events.restore(event.id);
+
+  return { event: restoredEvent, restored };
+};
+
+module.exports = {
+  EVENT_RESOURCES,
+  EVENT_METADATA,
+  removeEventCascade,
+  trashEventCascade,
+  restoreEventCascade
+};
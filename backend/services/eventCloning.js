@@ -0,0 +1,115 @@
+// Event cloning service
+// Copies an event and the parts of it the caller picks into a new event owned
+// by the caller. The copy starts fresh as a Draft: task due dates and session
+// times move with the event date, tasks go back to To-Do, guests to Pending,
+// expenses to unpaid and vendors to unconfirmed. Collaborators, comments and
+// webhooks stay behind.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { EVENT_RESOURCES } = require('./eventCleanup');
+const { recordChange } = require('./audit');
+const { DEFAULT_EVENT_STATUS } = require('./eventLifecycle');
+
+// Resource -> entity type in the audit log
+const ENTITY_TYPES = {
+  tasks: 'task',
+  guests: 'guest',
+  vendors: 'vendor',
+  expenses: 'expense',
+  agendaSessions: 'session'
+};
+
+// Fields that describe the source record rather than its content
+const SOURCE_FIELDS = ['deletedAt', 'deletedBy', 'deletedWithEvent'];
+
+const withoutSourceFields = (record) => {
+  const copy = { ...record };
+  SOURCE_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+/**
+ * Copy an event into a new one.
+ * @param {Object} event - Event to copy
+ * @param {string} userId - Caller; becomes the host of the copy
+ * @param {Object} options
+ * @param {string} options.name
+ * @param {Date} options.date - Date of the new event
+ * @param {string[]} options.include - Resources to copy (tasks, guests, vendors, expenses, agendaSessions)
+ * @returns {Promise<{event: Object, idMap: Object}>} The new event and, per
+ * collection, a map from source record ID to copied record ID
+ */
+const cloneEvent = async (event, userId, { name, date, include }) => {
+  const shiftMs = date.getTime() - new Date(event.date).getTime();
+  const createdAt = new Date();
+
+  const newEvent = {
+    ...withoutSourceFields(event),
+    id: uuidv4(),
+    name,
+    date,
+    hostId: userId,
+    collaborators: [],
+    roles: {},
+    vendors: [],
+    templateId: null,
+    clonedFromId: event.id,
+    status: DEFAULT_EVENT_STATUS,
+    statusChangedAt: createdAt,
+    archivedFrom: null,
+    version: 1,
+    createdAt
+  };
+
+  await db.events.create(newEvent);
+  await recordChange({ actorId: userId, eventId: newEvent.id, entityType: 'event', action: 'create', after: newEvent });
+
+  const idMap = { events: { [event.id]: newEvent.id } };
+
+  const shift = (date) => new Date(new Date(date).getTime() + shiftMs);
+
+  // What a copied record starts out as, per resource
+  const resets = {
+    tasks: (task) => ({
+      status: 'To-Do',
+      dueDate: task.dueDate ? shift(task.dueDate) : null,
+      // Only the new host is a member of the copy
+      assigneeId: task.assigneeId === userId ? userId : null
+    }),
+    guests: () => ({ rsvpStatus: 'Pending' }),
+    vendors: () => ({ isConfirmed: false }),
+    expenses: () => ({ isPaid: false }),
+    // Vendors come before agenda sessions in EVENT_RESOURCES, so their copies are known
+    agendaSessions: (session) => ({
+      startsAt: shift(session.startsAt),
+      endsAt: shift(session.endsAt),
+      responsibleId: session.responsibleId === userId ? userId : null,
+      vendorIds: (session.vendorIds || []).map(vendorId => idMap.vendors?.[vendorId]).filter(Boolean)
+    })
+  };
+
+  for (const resource of EVENT_RESOURCES.filter(name => include.includes(name))) {
+    idMap[resource] = {};
+    const records = await db[resource].find({ eventId: event.id });
+
+    for (const record of records) {
+      const copy = {
+        ...withoutSourceFields(record),
+        ...resets[resource](record),
+        id: uuidv4(),
+        eventId: newEvent.id,
+        version: 1,
+        createdAt
+      };
+
+      await db[resource].create(copy);
+      await recordChange({ actorId: userId, eventId: newEvent.id, entityType: ENTITY_TYPES[resource], action: 'create', after: copy });
+      idMap[resource][record.id] = copy.id;
+    }
+  }
+
+  return { event: newEvent, idMap };
+};
+
+module.exports = { cloneEvent };
@@ -0,0 +1,134 @@
+// Event lifecycle service
+// Every event moves through a fixed set of statuses, one allowed step at a
+// time:
+//
+//   Draft -> Planning -> Confirmed -> Live -> Completed -> Archived
+//
+// Any status before Completed can be Cancelled, a cancelled event can go back
+// to Planning, and an archived event can only be taken back to the status it
+// was archived from. Archived events are read-only (see authorizeEvent).
+
+const db = require('../data');
+const { recordChange } = require('./audit');
+const { sendMail, appLink } = require('./mailer');
+
+const EVENT_STATUSES = ['Draft', 'Planning', 'Confirmed', 'Live', 'Completed', 'Cancelled', 'Archived'];
+
+// Status of a new event
+const DEFAULT_EVENT_STATUS = 'Draft';
+
+// Events created before statuses existed were already being planned
+const LEGACY_EVENT_STATUS = 'Planning';
+
+const STATUS_TRANSITIONS = {
+  Draft: ['Planning', 'Cancelled'],
+  Planning: ['Draft', 'Confirmed', 'Cancelled'],
+  Confirmed: ['Planning', 'Live', 'Cancelled'],
+  Live: ['Completed', 'Cancelled'],
+  Completed: ['Archived'],
+  Cancelled: ['Planning', 'Archived']
+};
+
+// Task statuses that are put On Hold when the event is cancelled
+const PENDING_TASK_STATUSES = ['To-Do', 'In Progress'];
+
+class StatusTransitionError extends Error {
+  constructor(from, to, allowed) {
+    super(`An event cannot go from ${from} to ${to}`);
+    this.name = 'StatusTransitionError';
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+  }
+}
+
+const statusOf = (event) => event.status || LEGACY_EVENT_STATUS;
+
+const isArchived = (event) => statusOf(event) === 'Archived';
+
+// Statuses the event can move to next
+const allowedTransitions = (event) =>
+  isArchived(event) ? [event.archivedFrom || 'Completed'] : STATUS_TRANSITIONS[statusOf(event)];
+
+// Tell every guest with an address that the event is off
+const mailCancellation = async (event, reason) => {
+  const eventGuests = await db.guests.find({ eventId: event.id });
+  let mailed = 0;
+
+  for (const guest of eventGuests.filter(guest => guest.email)) {
+    try {
+      await sendMail({
+        to: guest.email,
+        subject: `"${event.name}" has been cancelled`,
+        text: `Hi ${guest.name},\n\nWe are sorry to let you know that "${event.name}", ` +
+          `planned for ${new Date(event.date).toDateString()}, has been cancelled.` +
+          (reason ? `\n\n${reason}` : '') +
+          `\n\nEvent page:\n\n${appLink(`/events/${event.id}`)}`
+      });
+      mailed += 1;
+    } catch (error) {
+      // One bad address should not stop the others from hearing about it
+      console.error('Cancellation mail error:', error);
+    }
+  }
+
+  return mailed;
+};
+
+/**
+ * Move an event to a new status and apply its side effects. Cancelling puts
+ * the event's pending tasks On Hold and can mail the guests.
+ * @param {Object} event
+ * @param {string} status - Target status
+ * @param {string} actorId
+ * @param {Object} [options]
+ * @param {number} [options.expectedVersion] - From If-Match
+ * @param {boolean} [options.notifyGuests=false] - Mail guests about a cancellation
+ * @param {string} [options.reason] - Included in the cancellation mail
+ * @returns {Promise<{event: Object, tasksOnHold: number, guestsNotified: number}>}
+ * @throws {StatusTransitionError} When the step is not allowed
+ */
+const changeStatus = async (event, status, actorId, { expectedVersion, notifyGuests = false, reason } = {}) => {
+  const from = statusOf(event);
+  const allowed = allowedTransitions(event);
+  if (!allowed.includes(status)) {
+    throw new StatusTransitionError(from, status, allowed);
+  }
+
+  const changes = {
+    status,
+    statusChangedAt: new Date(),
+    archivedFrom: status === 'Archived' ? from : null
+  };
+  const updatedEvent = await db.events.update(event.id, changes, { expectedVersion });
+  await recordChange({ actorId, eventId: event.id, entityType: 'event', action: 'update', before: event, after: updatedEvent });
+
+  const outcome = { event: updatedEvent, tasksOnHold: 0, guestsNotified: 0 };
+  if (status !== 'Cancelled') {
+    return outcome;
+  }
+
+  const pendingTasks = await db.tasks.find(task => task.eventId === event.id && PENDING_TASK_STATUSES.includes(task.status));
+  for (const task of pendingTasks) {
+    const updatedTask = await db.tasks.update(task.id, { status: 'On Hold' });
+    await recordChange({ actorId, eventId: event.id, entityType: 'task', action: 'update', before: task, after: updatedTask });
+  }
+  outcome.tasksOnHold = pendingTasks.length;
+
+  if (notifyGuests) {
+    outcome.guestsNotified = await mailCancellation(updatedEvent, reason);
+  }
+
+  return outcome;
+};
+
+module.exports = {
+  EVENT_STATUSES,
+  DEFAULT_EVENT_STATUS,
+  STATUS_TRANSITIONS,
+  StatusTransitionError,
+  statusOf,
+  isArchived,
+  allowedTransitions,
+  changeStatus
+};
@@ -0,0 +1,228 @@
+// Collaborator invitation service
+// Invitations are addressed to an email, so people who have not signed up yet
+// can be invited too. The mailed link carries a token that lets whoever holds
+// it accept or decline; a logged-in user with the invited (verified) address
+// can also respond without it.
+//
+// An invitation is pending until it is accepted, declined, revoked by the
+// host, replaced by a newer invitation for the same address, or expires.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { VersionConflictError } = require('../data/errors');
+const { sendMail, appLink } = require('./mailer');
+const { recordChange } = require('./audit');
+const { DEFAULT_COLLABORATOR_ROLE } = require('./permissions');
+const { notifyInvitation } = require('./notifications');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS || '7', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isExpired = (invitation) => new Date(invitation.expiresAt) <= new Date();
+
+const isPending = (invitation) => invitation.status === 'pending' && !isExpired(invitation);
+
+// Invitation as shown to the host and the invitee
+const toPublicInvitation = ({ tokenHash, ...invitation }) => ({
+  ...invitation,
+  status: invitation.status === 'pending' && isExpired(invitation) ? 'expired' : invitation.status
+});
+
+// Close an invitation, unless somebody else got there first
+const closeInvitation = async (invitation, status, changes = {}) => {
+  try {
+    return await db.invitations.update(
+      invitation.id,
+      { status, respondedAt: new Date(), ...changes },
+      { expectedVersion: invitation.version }
+    );
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Attempts at a member change before a conflicting write is reported
+const MEMBERSHIP_ATTEMPTS = 3;
+
+// Change the members of an event based on its latest version. Members are
+// stored as whole lists, so the write only goes through if nobody changed the
+// event meanwhile; otherwise it is worked out again from the fresh copy.
+// edit returns the changes, or null when there is nothing to change.
+const updateMembers = async (eventId, edit) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const event = await db.events.findById(eventId);
+    const changes = event && edit(event);
+    if (!changes) {
+      return { before: event, after: event };
+    }
+
+    try {
+      const updatedEvent = await db.events.update(eventId, changes, { expectedVersion: event.version });
+      return { before: event, after: updatedEvent };
+    } catch (error) {
+      if (!(error instanceof VersionConflictError) || attempt === MEMBERSHIP_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Invite an email address to collaborate on an event and mail the link. A
+ * pending invitation for the same address is replaced.
+ * @param {Object} event
+ * @param {string} email - Normalized address to invite
+ * @param {Object} inviter - User sending the invitation
+ * @param {string} role - Role the invitee gets on accepting
+ * @returns {Promise<Object>} The stored invitation
+ */
+const createInvitation = async (event, email, inviter, role) => {
+  const previous = await db.invitations.find({ eventId: event.id, email, status: 'pending' });
+  for (const invitation of previous) {
+    await db.invitations.update(invitation.id, { status: 'revoked', respondedAt: new Date() });
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = await db.invitations.create({
+    id: uuidv4(),
+    eventId: event.id,
+    email,
+    role,
+    invitedBy: inviter.id,
+    tokenHash: hashToken(token),
+    status: 'pending',
+    acceptedBy: null,
+    respondedAt: null,
+    expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdAt: new Date()
+  });
+
+  const hasAccount = Boolean(await db.users.findOne({ email }));
+  await sendMail({
+    to: email,
+    subject: `${inviter.name} invited you to plan "${event.name}"`,
+    text: `Hi,\n\n${inviter.name} invited you to help plan "${event.name}" on PlanPilot as ${role}.\n\n` +
+      (hasAccount ? '' : 'You will need to sign up with this email address first.\n\n') +
+      'Open the link below to accept or decline:\n\n' +
+      `${appLink(`/invitations/${invitation.id}`, { token })}\n\n` +
+      `The invitation is valid for ${INVITATION_TTL_DAYS} days.`
+  });
+
+  await notifyInvitation(invitation, event, inviter);
+
+  return invitation;
+};
+
+/**
+ * Find an invitation the user may respond to, either through the mailed token
+ * or because it is addressed to the user's verified email.
+ * @param {string} invitationId
+ * @param {Object} user
+ * @param {string} [token]
+ * @returns {Promise<Object|null>}
+ */
+const findInvitationForUser = async (invitationId, user, token) => {
+  const invitation = await db.invitations.findById(invitationId);
+  if (!invitation) {
+    return null;
+  }
+
+  if (token) {
+    return invitation.tokenHash === hashToken(token) ? invitation : null;
+  }
+  return user.emailVerified && invitation.email === user.email ? invitation : null;
+};
+
+/**
+ * Accept a pending invitation and add the user to the event.
+ * @param {Object} invitation
+ * @param {Object} user
+ * @returns {Promise<Object|null>} The updated event, or null if the invitation
+ * was closed in the meantime
+ */
+const acceptInvitation = async (invitation, user) => {
+  const accepted = await closeInvitation(invitation, 'accepted', { acceptedBy: user.id });
+  if (!accepted) {
+    return null;
+  }
+
+  const { before, after } = await updateMembers(invitation.eventId, (event) =>
+    event.hostId === user.id || event.collaborators.includes(user.id) ? null : {
+      collaborators: [...event.collaborators, user.id],
+      roles: { ...event.roles, [user.id]: invitation.role || DEFAULT_COLLABORATOR_ROLE }
+    }
+  );
+  await recordChange({ actorId: user.id, eventId: invitation.eventId, entityType: 'event', action: 'update', before, after });
+  return after;
+};
+
+const declineInvitation = async (invitation) => closeInvitation(invitation, 'declined');
+
+const revokeInvitation = async (invitation) => closeInvitation(invitation, 'revoked');
+
+/**
+ * Take a collaborator off an event. Their tasks on the event are unassigned
+ * and they stop being responsible for its sessions.
+ * @param {Object} event
+ * @param {string} userId - Collaborator to remove
+ * @param {string} actorId - User doing the removal
+ * @returns {Promise<Object>} The updated event
+ */
+const removeCollaborator = async (event, userId, actorId) => {
+  const { before, after: updatedEvent } = await updateMembers(event.id, (current) => {
+    if (!current.collaborators.includes(userId)) {
+      return null;
+    }
+    const { [userId]: _, ...roles } = current.roles || {};
+    return { collaborators: current.collaborators.filter(id => id !== userId), roles };
+  });
+  await recordChange({ actorId, eventId: event.id, entityType: 'event', action: 'update', before, after: updatedEvent });
+
+  const assignedTasks = await db.tasks.find({ eventId: event.id, assigneeId: userId });
+  for (const task of assignedTasks) {
+    const updatedTask = await db.tasks.update(task.id, { assigneeId: null });
+    await recordChange({ actorId, eventId: event.id, entityType: 'task', action: 'update', before: task, after: updatedTask });
+  }
+
+  const ledSessions = await db.agendaSessions.find({ eventId: event.id, responsibleId: userId });
+  for (const session of ledSessions) {
+    const updatedSession = await db.agendaSessions.update(session.id, { responsibleId: null });
+    await recordChange({ actorId, eventId: event.id, entityType: 'session', action: 'update', before: session, after: updatedSession });
+  }
+
+  return updatedEvent;
+};
+
+/**
+ * Give a collaborator a different role on an event.
+ * @param {Object} event
+ * @param {string} userId - Collaborator whose role changes
+ * @param {string} role
+ * @param {string} actorId - User making the change
+ * @returns {Promise<Object>} The updated event
+ */
+const changeCollaboratorRole = async (event, userId, role, actorId) => {
+  // A collaborator removed meanwhile does not come back with the new role
+  const { before, after } = await updateMembers(event.id, (current) =>
+    current.collaborators.includes(userId) ? { roles: { ...current.roles, [userId]: role } } : null
+  );
+  await recordChange({ actorId, eventId: event.id, entityType: 'event', action: 'update', before, after });
+  return after;
+};
+
+module.exports = {
+  isPending,
+  toPublicInvitation,
+  createInvitation,
+  findInvitationForUser,
+  acceptInvitation,
+  declineInvitation,
+  revokeInvitation,
+  removeCollaborator,
+  changeCollaboratorRole
+};
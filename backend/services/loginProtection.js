@@ -0,0 +1,194 @@
+// Login protection service
+// Tracks failed logins per account (by email) and per client IP. Each failure
+// makes the next attempt on that account wait twice as long; after
+// LOGIN_MAX_FAILURES the account is locked for LOGIN_LOCKOUT_MINUTES and the
+// owner gets an unlock link by email. An IP that fails LOGIN_IP_MAX_FAILURES
+// times is locked out on its own, whatever accounts it tries.
+//
+// Lockouts are recorded as security events and shown to the owner on their
+// next successful login.
+//
+// createLoginProtection takes a clock so the timing rules can be exercised
+// without waiting; the app uses the shared loginProtection instance.
+
+const { v4: uuidv4 } = require('uuid');
+const { users, loginAttempts, securityEvents } = require('../data');
+const { issueToken, consumeToken } = require('./oneTimeTokens');
+const { sendMail, appLink } = require('./mailer');
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_CONFIG = {
+  maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10),
+  ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES || '20', 10),
+  failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10),
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10),
+  delayBaseSeconds: parseFloat(process.env.LOGIN_DELAY_BASE_SECONDS || '1')
+};
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const createLoginProtection = ({ now = () => new Date(), ...overrides } = {}) => {
+  const config = { ...DEFAULT_CONFIG, ...overrides };
+
+  // Attempt record for a key, reset once its failure window has passed
+  const currentAttempts = async (key) => {
+    const record = await loginAttempts.findById(key);
+    if (!record) {
+      return null;
+    }
+
+    const windowEnd = new Date(record.firstFailureAt).getTime() + config.failureWindowMinutes * MINUTE_MS;
+    const lockEnd = record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0;
+    if (Math.max(windowEnd, lockEnd) <= now().getTime()) {
+      await loginAttempts.remove(key);
+      return null;
+    }
+
+    return record;
+  };
+
+  // Milliseconds until the next attempt is accepted for a record
+  const waitMs = (record) => {
+    if (!record) {
+      return 0;
+    }
+
+    const current = now().getTime();
+    if (record.lockedUntil && new Date(record.lockedUntil).getTime() > current) {
+      return new Date(record.lockedUntil).getTime() - current;
+    }
+
+    const delayMs = config.delayBaseSeconds * 1000 * 2 ** (record.failures - 1);
+    return Math.max(0, new Date(record.lastFailureAt).getTime() + delayMs - current);
+  };
+
+  // Count a failure against a key. newlyLocked is true only when this failure
+  // locks a key that was not locked already.
+  const bumpFailures = async (key, maxFailures) => {
+    const record = await currentAttempts(key);
+    const timestamp = now();
+    const failures = record ? record.failures + 1 : 1;
+    const lockedUntil = failures >= maxFailures
+      ? new Date(timestamp.getTime() + config.lockoutMinutes * MINUTE_MS)
+      : null;
+    const wasLocked = Boolean(record && record.lockedUntil && new Date(record.lockedUntil) > timestamp);
+
+    const changes = { failures, lastFailureAt: timestamp, lockedUntil };
+    const updated = record
+      ? await loginAttempts.update(key, changes)
+      : await loginAttempts.create({ id: key, firstFailureAt: timestamp, ...changes });
+    return { record: updated, newlyLocked: Boolean(lockedUntil) && !wasLocked };
+  };
+
+  const sendUnlockEmail = async (user, lockedUntil) => {
+    const token = await issueToken(user.id, 'account-unlock', config.lockoutMinutes * MINUTE_MS, {}, now());
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your PlanPilot account has been locked',
+      text: `Hi ${user.name},\n\n` +
+        `We locked your account after ${config.maxFailures} failed login attempts. ` +
+        `It unlocks by itself at ${lockedUntil.toISOString()}.\n\n` +
+        'If it was you, unlock it right away with the link below:\n\n' +
+        `${appLink('/api/auth/unlock', { token })}\n\n` +
+        'If it was not you, consider changing your password once you are back in.'
+    });
+  };
+
+  /**
+   * Whether a login attempt may be processed at all.
+   * @returns {Promise<{allowed: boolean, reason?: string, retryAfterSeconds?: number}>}
+   */
+  const checkAllowed = async (email, ip) => {
+    const ipRecord = await currentAttempts(ipKey(ip));
+    if (ipRecord && ipRecord.lockedUntil) {
+      return { allowed: false, reason: 'ip_locked', retryAfterSeconds: Math.ceil(waitMs(ipRecord) / 1000) };
+    }
+
+    const accountRecord = await currentAttempts(accountKey(email));
+    const wait = waitMs(accountRecord);
+    if (wait > 0) {
+      return {
+        allowed: false,
+        reason: accountRecord.lockedUntil ? 'account_locked' : 'throttled',
+        retryAfterSeconds: Math.ceil(wait / 1000)
+      };
+    }
+
+    return { allowed: true };
+  };
+
+  /**
+   * Count a failed attempt. user is the account behind the email, if any.
+   * @returns {Promise<{locked: boolean}>}
+   */
+  const recordFailure = async (email, ip, user) => {
+    await bumpFailures(ipKey(ip), config.ipMaxFailures);
+    const { record: accountRecord, newlyLocked: locked } = await bumpFailures(accountKey(email), config.maxFailures);
+
+    // Only the attempt that locks the account reports the lockout, including
+    // a new lock after an earlier one ran out within the same window
+    if (locked && user) {
+      await securityEvents.create({
+        id: uuidv4(),
+        userId: user.id,
+        type: 'account_locked',
+        ip,
+        failures: accountRecord.failures,
+        lockedUntil: accountRecord.lockedUntil,
+        acknowledgedAt: null,
+        createdAt: now()
+      });
+      await sendUnlockEmail(user, accountRecord.lockedUntil);
+    }
+
+    return { locked };
+  };
+
+  /**
+   * Clear the account's failures after a successful login and hand back the
+   * security notices the user has not seen yet.
+   * @returns {Promise<Array>}
+   */
+  const recordSuccess = async (email, user) => {
+    await loginAttempts.remove(accountKey(email));
+
+    const unseen = await securityEvents.find({ userId: user.id, acknowledgedAt: null });
+    for (const event of unseen) {
+      await securityEvents.update(event.id, { acknowledgedAt: now() });
+    }
+
+    return unseen.map(event => ({
+      type: event.type,
+      occurredAt: event.createdAt,
+      ip: event.ip,
+      message: `Your account was locked after ${event.failures} failed login attempts from ${event.ip}`
+    }));
+  };
+
+  /**
+   * Lift an account lock with the token from the unlock email.
+   * @returns {Promise<boolean>} Whether the token was valid
+   */
+  const unlockAccount = async (token) => {
+    const record = await consumeToken(token, 'account-unlock', now());
+    if (!record) {
+      return false;
+    }
+
+    const user = await users.findById(record.userId);
+    if (user) {
+      await loginAttempts.remove(accountKey(user.email));
+    }
+    return Boolean(user);
+  };
+
+  return { config, checkAllowed, recordFailure, recordSuccess, unlockAccount };
+};
+
+module.exports = {
+  createLoginProtection,
+  loginProtection: createLoginProtection()
+};
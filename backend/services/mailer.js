@@ -0,0 +1,76 @@
+// Mail service
+// Outgoing mail goes through a pluggable transport, picked with
+// MAIL_TRANSPORT:
+//
+//   console (default) prints every message to stdout
+//   file              writes every message as a JSON file into MAIL_DIR
+//
+// Any object with an async send(message) method can be installed with
+// setTransport, e.g. an SMTP client in production or a recorder in tests.
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'PlanPilot <no-reply@planpilot.local>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox');
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
+
+const consoleTransport = {
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+};
+
+const fileTransport = {
+  async send(message) {
+    await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${uuidv4()}.json`;
+    await fs.promises.writeFile(path.join(MAIL_DIR, fileName), JSON.stringify(message, null, 2));
+  }
+};
+
+const TRANSPORTS = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+const createTransport = (name) => {
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${Object.keys(TRANSPORTS).join(' or ')})`);
+  }
+  return transport;
+};
+
+let transport = createTransport(process.env.MAIL_TRANSPORT || 'console');
+
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send a plain-text email through the configured transport.
+ * @param {Object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ */
+const sendMail = async ({ to, subject, text }) => {
+  await transport.send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    sentAt: new Date()
+  });
+};
+
+// Absolute link into the frontend
+const appLink = (pathname, params = {}) => {
+  const url = new URL(pathname, APP_BASE_URL);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = { sendMail, setTransport, appLink };
@@ -0,0 +1,241 @@
+// Notification service
+// Keeps a per-user inbox of things that need the user's attention: a task
+// assigned to them or running overdue, a guest's RSVP, an invitation to an
+// event or a mention in a comment. Users can switch each type off and opt into
+// a mail digest of what they have not read yet. Overdue tasks and digests are
+// picked up by a background job.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { sendMail, appLink } = require('./mailer');
+const { roleOf, can } = require('./permissions');
+const { statusOf } = require('./eventLifecycle');
+
+const NOTIFICATION_TYPES = ['task-assigned', 'task-overdue', 'guest-rsvp', 'event-invitation', 'comment-mention'];
+
+// Events whose tasks no longer run overdue
+const CLOSED_EVENT_STATUSES = ['Completed', 'Cancelled', 'Archived'];
+
+// Days between two digests
+const DIGEST_FREQUENCIES = {
+  off: null,
+  daily: 1,
+  weekly: 7
+};
+
+const JOB_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Types live in the profile's notificationPreferences map (type -> on/off),
+// next to notificationDigest. Anything never set is on, with no digest.
+const preferencesOf = (user) => {
+  const stored = user.notificationPreferences || {};
+  const types = {};
+  NOTIFICATION_TYPES.forEach(type => {
+    types[type] = stored[type] ?? true;
+  });
+  return { types, digest: user.notificationDigest || 'off' };
+};
+
+/**
+ * Put a notification in a user's inbox, unless they switched the type off.
+ * @param {string} userId
+ * @param {Object} notification
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {string} notification.eventId
+ * @param {string} notification.message
+ * @param {string} [notification.link] - Frontend path to open
+ * @param {Object} [notification.data] - IDs the client needs to act on it
+ * @returns {Promise<Object|null>} The stored notification
+ */
+const notify = async (userId, { type, eventId, message, link = null, data = {} }) => {
+  const user = await db.users.findById(userId);
+  if (!user || !preferencesOf(user).types[type]) {
+    return null;
+  }
+
+  return db.notifications.create({
+    id: uuidv4(),
+    userId,
+    type,
+    eventId,
+    message,
+    link,
+    data,
+    readAt: null,
+    digestedAt: null,
+    createdAt: new Date()
+  });
+};
+
+const nameOf = async (userId) => (await db.users.findById(userId))?.name || 'Someone';
+
+// Tell the assignee, when the task was just given to a member other than the actor
+const notifyTaskAssigned = async (task, previous, event, actorId) => {
+  const { assigneeId } = task;
+  if (!assigneeId || assigneeId === previous?.assigneeId || assigneeId === actorId || !roleOf(event, assigneeId)) {
+    return null;
+  }
+
+  return notify(assigneeId, {
+    type: 'task-assigned',
+    eventId: event.id,
+    message: `${await nameOf(actorId)} assigned you "${task.name}" on "${event.name}"`,
+    link: `/events/${event.id}/tasks/${task.id}`,
+    data: { taskId: task.id }
+  });
+};
+
+// Tell every member who can see the guest list, other than the actor
+const notifyGuestRsvp = async (guest, previous, event, actorId) => {
+  if (!guest.rsvpStatus || guest.rsvpStatus === previous?.rsvpStatus) {
+    return;
+  }
+
+  const recipients = [event.hostId, ...event.collaborators]
+    .filter(userId => userId !== actorId && can(event, userId, 'guests', 'read'));
+  for (const userId of recipients) {
+    await notify(userId, {
+      type: 'guest-rsvp',
+      eventId: event.id,
+      message: `${guest.name} is now "${guest.rsvpStatus}" for "${event.name}"`,
+      link: `/events/${event.id}/guests/${guest.id}`,
+      data: { guestId: guest.id, rsvpStatus: guest.rsvpStatus }
+    });
+  }
+};
+
+// Only accounts that proved they own the address hear about it in the app
+const notifyInvitation = async (invitation, event, inviter) => {
+  const invitee = await db.users.findOne({ email: invitation.email });
+  if (!invitee || !invitee.emailVerified) {
+    return null;
+  }
+
+  return notify(invitee.id, {
+    type: 'event-invitation',
+    eventId: event.id,
+    message: `${inviter.name} invited you to plan "${event.name}"`,
+    link: `/invitations/${invitation.id}`,
+    data: { invitationId: invitation.id }
+  });
+};
+
+// Tell members newly mentioned in the comment, if they can see what it is on
+const notifyMentions = async (comment, previousMentions, event) => {
+  const author = await nameOf(comment.authorId);
+  const recipients = comment.mentions
+    .filter(userId => userId !== comment.authorId && !previousMentions.includes(userId))
+    .filter(userId => can(event, userId, comment.resource, 'read'));
+  for (const userId of recipients) {
+    await notify(userId, {
+      type: 'comment-mention',
+      eventId: event.id,
+      message: `${author} mentioned you in a comment on "${event.name}"`,
+      link: `/events/${event.id}/${comment.resource}/${comment.recordId}`,
+      data: { commentId: comment.id, resource: comment.resource, recordId: comment.recordId }
+    });
+  }
+};
+
+/**
+ * Notify the assignee (or the host, when nobody is assigned) of every open task
+ * that is past its due date, unless its event is over or called off. Each due
+ * date is only reported once.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} Number of tasks reported
+ */
+const notifyOverdueTasks = async (now = new Date()) => {
+  const overdue = await db.tasks.find(task =>
+    task.dueDate && new Date(task.dueDate) < now && task.status !== 'Completed'
+  );
+
+  let reported = 0;
+  for (const task of overdue) {
+    const dueDate = new Date(task.dueDate).toISOString();
+    const alreadySent = await db.notifications.findOne(notification =>
+      notification.type === 'task-overdue' &&
+      notification.data.taskId === task.id &&
+      notification.data.dueDate === dueDate
+    );
+    const event = await db.events.findById(task.eventId);
+    if (alreadySent || !event || CLOSED_EVENT_STATUSES.includes(statusOf(event))) {
+      continue;
+    }
+
+    const recipientId = task.assigneeId && roleOf(event, task.assigneeId) ? task.assigneeId : event.hostId;
+    await notify(recipientId, {
+      type: 'task-overdue',
+      eventId: event.id,
+      message: `"${task.name}" on "${event.name}" is overdue`,
+      link: `/events/${event.id}/tasks/${task.id}`,
+      data: { taskId: task.id, dueDate }
+    });
+    reported += 1;
+  }
+
+  return reported;
+};
+
+/**
+ * Mail every user whose digest is due a summary of their unread notifications
+ * since the last digest. Users with nothing new get no mail.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} Number of digests sent
+ */
+const sendDigests = async (now = new Date()) => {
+  const subscribers = await db.users.find(user => preferencesOf(user).digest !== 'off');
+
+  let sent = 0;
+  for (const user of subscribers) {
+    const intervalMs = DIGEST_FREQUENCIES[preferencesOf(user).digest] * DAY_MS;
+    if (user.lastDigestAt && now - new Date(user.lastDigestAt) < intervalMs) {
+      continue;
+    }
+
+    const pending = await db.notifications.find({ userId: user.id, readAt: null, digestedAt: null });
+    if (pending.length > 0 && user.emailVerified) {
+      pending.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+      await sendMail({
+        to: user.email,
+        subject: `You have ${pending.length} unread notification${pending.length === 1 ? '' : 's'} on PlanPilot`,
+        text: `Hi ${user.name},\n\nHere is what happened since your last digest:\n\n` +
+          pending.map(notification => `- ${notification.message}`).join('\n') +
+          `\n\nSee everything in your inbox:\n\n${appLink('/notifications')}`
+      });
+      for (const notification of pending) {
+        await db.notifications.update(notification.id, { digestedAt: now });
+      }
+      sent += 1;
+    }
+    await db.users.update(user.id, { lastDigestAt: now });
+  }
+
+  return sent;
+};
+
+const startNotificationJobs = () => {
+  const timer = setInterval(() => {
+    notifyOverdueTasks()
+      .then(() => sendDigests())
+      .catch(error => console.error('Notification job error:', error));
+  }, JOB_INTERVAL_MS);
+
+  // Never keep the process alive just for notifications
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  DIGEST_FREQUENCIES,
+  preferencesOf,
+  notify,
+  notifyTaskAssigned,
+  notifyGuestRsvp,
+  notifyInvitation,
+  notifyMentions,
+  notifyOverdueTasks,
+  sendDigests,
+  startNotificationJobs
+};
@@ -0,0 +1,89 @@
+// One-time token service
+// Single-use, expiring tokens that are mailed to users (password reset and
+// similar flows) or handed out between login steps. Only a hash of the token
+// is stored; the raw value exists solely in the email or response.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { VersionConflictError } = require('../data/errors');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a token for a user. Earlier unused tokens for the same purpose stop
+ * working, so only the most recent email is ever valid.
+ * @param {string} userId
+ * @param {string} purpose - e.g. 'password-reset'
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @param {Object} [data] - Extra values handed back on consumption
+ * @param {Date} [now] - Issue time the lifetime counts from
+ * @returns {Promise<string>} The raw token to send to the user
+ */
+const issueToken = async (userId, purpose, ttlMs, data = {}, now = new Date()) => {
+  await revokeTokens(userId, purpose);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await db.oneTimeTokens.create({
+    id: uuidv4(),
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    data,
+    usedAt: null,
+    expiresAt: new Date(now.getTime() + ttlMs),
+    createdAt: now
+  });
+
+  return token;
+};
+
+/**
+ * Look up a token without using it. Returns null when it is unknown, expired,
+ * already used or issued for a different purpose.
+ * @param {string} token
+ * @param {string} purpose
+ * @param {Date} [now] - Time the expiry is checked against
+ * @returns {Promise<Object|null>} The stored token record
+ */
+const findToken = async (token, purpose, now = new Date()) => {
+  const stored = await db.oneTimeTokens.findOne({ tokenHash: hashToken(token), purpose });
+  if (!stored || stored.usedAt || new Date(stored.expiresAt) <= now) {
+    return null;
+  }
+  return stored;
+};
+
+/**
+ * Use up a token. Returns null in the same cases as findToken.
+ * @param {string} token
+ * @param {string} purpose
+ * @param {Date} [now] - Time the expiry is checked against
+ * @returns {Promise<Object|null>} The stored token record
+ */
+const consumeToken = async (token, purpose, now = new Date()) => {
+  const stored = await findToken(token, purpose, now);
+  if (!stored) {
+    return null;
+  }
+
+  try {
+    // Versioned write so the same token cannot be consumed twice concurrently
+    return await db.oneTimeTokens.update(stored.id, { usedAt: now }, { expectedVersion: stored.version });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Invalidate every unused token of a user for the given purpose
+const revokeTokens = async (userId, purpose) => {
+  const pending = await db.oneTimeTokens.find({ userId, purpose, usedAt: null });
+  for (const record of pending) {
+    await db.oneTimeTokens.update(record.id, { usedAt: new Date() });
+  }
+};
+
+module.exports = { issueToken, findToken, consumeToken, revokeTokens };
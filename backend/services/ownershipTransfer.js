@@ -0,0 +1,117 @@
+// Event ownership transfer service
+// The owner nominates a collaborator as the new owner and picks the role they
+// will keep themselves. Nothing changes until the nominee accepts; the owner
+// can cancel and the nominee can decline in the meantime. Every transfer is
+// kept in ownershipTransfers and the handover itself lands in the audit log.
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { VersionConflictError } = require('../data/errors');
+const { sendMail, appLink } = require('./mailer');
+const { recordChange } = require('./audit');
+
+const findPendingTransfer = async (eventId) => db.ownershipTransfers.findOne({ eventId, status: 'pending' });
+
+// Close a transfer, unless somebody else got there first
+const closeTransfer = async (transfer, status) => {
+  try {
+    return await db.ownershipTransfers.update(
+      transfer.id,
+      { status, respondedAt: new Date() },
+      { expectedVersion: transfer.version }
+    );
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Nominate a collaborator as the new owner. A pending nomination for the
+ * event is cancelled.
+ * @param {Object} event
+ * @param {Object} owner - Current owner
+ * @param {Object} nominee - Collaborator to take over
+ * @param {string} previousOwnerRole - Role the owner keeps after the handover
+ * @returns {Promise<Object>} The stored transfer
+ */
+const nominateOwner = async (event, owner, nominee, previousOwnerRole) => {
+  const pending = await findPendingTransfer(event.id);
+  if (pending) {
+    await closeTransfer(pending, 'cancelled');
+  }
+
+  const transfer = await db.ownershipTransfers.create({
+    id: uuidv4(),
+    eventId: event.id,
+    fromUserId: owner.id,
+    toUserId: nominee.id,
+    previousOwnerRole,
+    status: 'pending',
+    respondedAt: null,
+    createdAt: new Date()
+  });
+
+  await sendMail({
+    to: nominee.email,
+    subject: `${owner.name} wants to hand "${event.name}" over to you`,
+    text: `Hi ${nominee.name},\n\n${owner.name} asked you to become the owner of "${event.name}" on PlanPilot.\n\n` +
+      'Open the event to accept or decline:\n\n' +
+      `${appLink(`/events/${event.id}/transfer`)}`
+  });
+
+  return transfer;
+};
+
+/**
+ * Hand the event over to the nominee. The previous owner stays on as a
+ * collaborator with the role chosen at nomination.
+ * @param {Object} transfer - Pending transfer
+ * @param {Object} event
+ * @returns {Promise<Object|null>} The updated event, or null when the transfer
+ * no longer applies (closed meanwhile, owner changed, nominee left)
+ */
+const acceptTransfer = async (transfer, event) => {
+  if (event.hostId !== transfer.fromUserId || !event.collaborators.includes(transfer.toUserId)) {
+    await closeTransfer(transfer, 'cancelled');
+    return null;
+  }
+
+  const accepted = await closeTransfer(transfer, 'accepted');
+  if (!accepted) {
+    return null;
+  }
+
+  const { [transfer.toUserId]: _, ...roles } = event.roles || {};
+  let updatedEvent;
+  try {
+    updatedEvent = await db.events.update(event.id, {
+      hostId: transfer.toUserId,
+      collaborators: [...event.collaborators.filter(id => id !== transfer.toUserId), transfer.fromUserId],
+      roles: { ...roles, [transfer.fromUserId]: transfer.previousOwnerRole }
+    }, { expectedVersion: event.version });
+  } catch (error) {
+    // The event changed underneath us; leave the transfer open for another try
+    if (error instanceof VersionConflictError) {
+      await db.ownershipTransfers.update(accepted.id, { status: 'pending', respondedAt: null });
+    }
+    throw error;
+  }
+  await recordChange({ actorId: transfer.toUserId, eventId: event.id, entityType: 'event', action: 'update', before: event, after: updatedEvent });
+
+  return updatedEvent;
+};
+
+const declineTransfer = async (transfer) => closeTransfer(transfer, 'declined');
+
+const cancelTransfer = async (transfer) => closeTransfer(transfer, 'cancelled');
+
+module.exports = {
+  findPendingTransfer,
+  nominateOwner,
+  acceptTransfer,
+  declineTransfer,
+  cancelTransfer
+};
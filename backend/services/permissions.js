@@ -0,0 +1,97 @@
+// Event permission policy
+// Every member of an event has a role. The host is always the owner;
+// collaborators get one of the other roles, kept in event.roles by user ID.
+// Each role grants read or write access per resource (write includes read);
+// resources a role does not list are invisible to it.
+
+const ROLES = ['owner', 'editor', 'finance', 'guest-manager', 'viewer'];
+const COLLABORATOR_ROLES = ROLES.filter(role => role !== 'owner');
+
+// Collaborators added before roles existed had the run of everything but the
+// event itself, which is closest to editor
+const DEFAULT_COLLABORATOR_ROLE = 'editor';
+
+const ROLE_PERMISSIONS = {
+  owner: {
+    events: 'write',
+    collaborators: 'write',
+    tasks: 'write',
+    guests: 'write',
+    vendors: 'write',
+    expenses: 'write',
+    agendaSessions: 'write'
+  },
+  editor: {
+    events: 'read',
+    collaborators: 'read',
+    tasks: 'write',
+    guests: 'write',
+    vendors: 'write',
+    agendaSessions: 'write'
+  },
+  finance: {
+    events: 'read',
+    collaborators: 'read',
+    tasks: 'read',
+    vendors: 'read',
+    expenses: 'write',
+    agendaSessions: 'read'
+  },
+  'guest-manager': {
+    events: 'read',
+    collaborators: 'read',
+    tasks: 'read',
+    guests: 'write',
+    agendaSessions: 'read'
+  },
+  viewer: {
+    events: 'read',
+    collaborators: 'read',
+    tasks: 'read',
+    guests: 'read',
+    vendors: 'read',
+    agendaSessions: 'read'
+  }
+};
+
+const ACCESS_LEVELS = { read: 1, write: 2 };
+
+/**
+ * Role of a user on an event.
+ * @param {Object} event
+ * @param {string} userId
+ * @returns {string|null} null when the user is not a member
+ */
+const roleOf = (event, userId) => {
+  if (event.hostId === userId) {
+    return 'owner';
+  }
+  if (event.collaborators.includes(userId)) {
+    return (event.roles && event.roles[userId]) || DEFAULT_COLLABORATOR_ROLE;
+  }
+  return null;
+};
+
+/**
+ * Whether a role may perform an action on a resource.
+ * @param {string|null} role
+ * @param {string} resource - events, collaborators, tasks, guests, vendors, expenses or agendaSessions
+ * @param {string} action - read or write
+ * @returns {boolean}
+ */
+const roleCan = (role, resource, action) => {
+  const granted = role && ROLE_PERMISSIONS[role][resource];
+  return Boolean(granted) && ACCESS_LEVELS[granted] >= ACCESS_LEVELS[action];
+};
+
+const can = (event, userId, resource, action) => roleCan(roleOf(event, userId), resource, action);
+
+module.exports = {
+  ROLES,
+  COLLABORATOR_ROLES,
+  DEFAULT_COLLABORATOR_ROLE,
+  ROLE_PERMISSIONS,
+  roleOf,
+  roleCan,
+  can
+};
@@ -0,0 +1,85 @@
+// Personal access token service
+// Long-lived, named credentials for scripts and integrations. A token is
+// shown once at creation; only its hash is stored. Each token carries scopes:
+//
+//   read               read everything the owner can see
+//   <resource>:write   create, update and delete that resource (and read it)
+//
+// where resource is one of events, tasks, guests, vendors, expenses, agendaSessions.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { personalAccessTokens } = require('../data');
+
+const TOKEN_PREFIX = 'pp_';
+const SCOPED_RESOURCES = ['events', 'tasks', 'guests', 'vendors', 'expenses', 'agendaSessions'];
+const SCOPES = ['read', ...SCOPED_RESOURCES.map(resource => `${resource}:write`)];
+
+// Skip rewriting lastUsedAt on every single request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isPersonalAccessToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+// Token metadata as shown to its owner
+const toPublicToken = ({ tokenHash, ...token }) => token;
+
+/**
+ * Create a token for a user.
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} options.name - Label chosen by the user
+ * @param {string[]} options.scopes - Subset of SCOPES
+ * @param {number} options.expiresInDays - Days until the token expires
+ * @returns {Promise<{token: string, record: Object}>} Raw token and stored metadata
+ */
+const createToken = async (userId, { name, scopes, expiresInDays }) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const record = await personalAccessTokens.create({
+    id: uuidv4(),
+    userId,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: hashToken(token),
+    tokenHint: token.slice(0, TOKEN_PREFIX.length + 4),
+    expiresAt: new Date(Date.now() + expiresInDays * DAY_MS),
+    lastUsedAt: null,
+    revokedAt: null,
+    createdAt: new Date()
+  });
+
+  return { token, record };
+};
+
+/**
+ * Look up a raw token presented by a client and note that it was used.
+ * @param {string} token
+ * @returns {Promise<Object|null>} The token record, or null if it is not usable
+ */
+const authenticatePersonalToken = async (token) => {
+  const record = await personalAccessTokens.findOne({ tokenHash: hashToken(token) });
+  if (!record || record.revokedAt || (record.expiresAt && new Date(record.expiresAt) <= new Date())) {
+    return null;
+  }
+
+  const lastUsed = record.lastUsedAt ? new Date(record.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed > LAST_USED_RESOLUTION_MS) {
+    await personalAccessTokens.update(record.id, { lastUsedAt: new Date() });
+  }
+
+  return record;
+};
+
+const revokeToken = async (tokenId) => personalAccessTokens.update(tokenId, { revokedAt: new Date() });
+
+module.exports = {
+  SCOPES,
+  isPersonalAccessToken,
+  toPublicToken,
+  createToken,
+  authenticatePersonalToken,
+  revokeToken
+};
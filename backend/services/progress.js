@@ -0,0 +1,98 @@
+// Event progress service
+// Progress is a weighted average of four ratios, each read straight from the
+// event's records so the same data always gives the same number:
+//
+//   tasks    completed tasks out of all tasks, each counted by its weight
+//   rsvp     guests who answered (anything but Pending) out of all guests
+//   vendors  confirmed vendors out of all vendors
+//   budget   paid expense amounts out of all expense amounts
+//
+// Weights can be set per event in event.progressWeights. A component with
+// nothing to measure (no guests yet, say) is left out and the others are
+// scaled up, so an event with only tasks is not stuck below 100%. The same
+// goes for components the reader is not allowed to see.
+
+const db = require('../data');
+
+// Component -> resource its records come from
+const PROGRESS_COMPONENTS = {
+  tasks: 'tasks',
+  rsvp: 'guests',
+  vendors: 'vendors',
+  budget: 'expenses'
+};
+
+const DEFAULT_PROGRESS_WEIGHTS = {
+  tasks: 50,
+  rsvp: 20,
+  vendors: 15,
+  budget: 15
+};
+
+const weightsOf = (event) => ({ ...DEFAULT_PROGRESS_WEIGHTS, ...event.progressWeights });
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Tasks without a weight count once
+const taskWeight = (task) => task.weight ?? 1;
+
+// Done and total of each component, from the records of its resource
+const MEASURES = {
+  tasks: (eventTasks) => ({
+    done: sum(eventTasks.filter(task => task.status === 'Completed').map(taskWeight)),
+    total: sum(eventTasks.map(taskWeight))
+  }),
+  rsvp: (eventGuests) => ({
+    done: eventGuests.filter(guest => guest.rsvpStatus && guest.rsvpStatus !== 'Pending').length,
+    total: eventGuests.length
+  }),
+  vendors: (eventVendors) => ({
+    done: eventVendors.filter(vendor => vendor.isConfirmed).length,
+    total: eventVendors.length
+  }),
+  budget: (eventExpenses) => ({
+    done: sum(eventExpenses.filter(expense => expense.isPaid).map(expense => Number(expense.amount) || 0)),
+    total: sum(eventExpenses.map(expense => Number(expense.amount) || 0))
+  })
+};
+
+/**
+ * Progress of an event with the numbers behind it. Components whose resource
+ * the reader cannot see are left out entirely, like components with nothing
+ * to measure, so the figure never gives away records the reader has no
+ * access to.
+ * @param {Object} event
+ * @param {Object} [options]
+ * @param {Function} [options.canRead] - Whether the reader may see a resource
+ * @returns {Promise<{progress: number, components: Object}>} progress is 0-100;
+ * each readable component has weight, done, total and ratio (null when total is 0)
+ */
+const calculateProgressBreakdown = async (event, { canRead = () => true } = {}) => {
+  const weights = weightsOf(event);
+  const components = {};
+
+  for (const [name, resource] of Object.entries(PROGRESS_COMPONENTS)) {
+    if (!canRead(resource)) continue;
+
+    const { done, total } = MEASURES[name](await db[resource].find({ eventId: event.id }));
+    components[name] = { weight: weights[name], done, total, ratio: total > 0 ? done / total : null };
+  }
+
+  const counted = Object.values(components).filter(component => component.ratio !== null && component.weight > 0);
+  const countedWeight = sum(counted.map(component => component.weight));
+  const progress = countedWeight > 0
+    ? Math.round(100 * sum(counted.map(component => component.weight * component.ratio)) / countedWeight)
+    : 0;
+
+  return { progress, components };
+};
+
+const calculateEventProgress = async (event, options) => (await calculateProgressBreakdown(event, options)).progress;
+
+module.exports = {
+  PROGRESS_COMPONENTS,
+  DEFAULT_PROGRESS_WEIGHTS,
+  weightsOf,
+  calculateProgressBreakdown,
+  calculateEventProgress
+};
@@ -0,0 +1,44 @@
+// Real-time service
+// Every change that lands in the audit log is published here, keyed by event
+// ID, so open streams can push it to the event's members as it happens.
+// Subscribers live in this process only. Background consumers such as
+// webhooks listen to every event at once.
+
+const { EventEmitter } = require('events');
+
+const channel = new EventEmitter();
+// One listener per open stream; there is no sensible upper bound
+channel.setMaxListeners(0);
+
+// Event IDs are UUIDs, so this key never clashes with one
+const ALL_EVENTS = '*';
+
+/**
+ * Announce a recorded change to the subscribers of its event.
+ * @param {Object} entry - The audit entry
+ * @param {Object|null} record - The record after the change (null when deleted)
+ */
+const publishChange = (entry, record) => {
+  channel.emit(entry.eventId, { entry, record });
+  channel.emit(ALL_EVENTS, { entry, record });
+};
+
+/**
+ * Listen for changes on an event.
+ * @param {string} eventId
+ * @param {Function} listener - Called with { entry, record }
+ * @returns {Function} Unsubscribes the listener
+ */
+const subscribe = (eventId, listener) => {
+  channel.on(eventId, listener);
+  return () => channel.off(eventId, listener);
+};
+
+// Listen for changes on every event
+const subscribeAll = (listener) => subscribe(ALL_EVENTS, listener);
+
+module.exports = {
+  publishChange,
+  subscribe,
+  subscribeAll
+};
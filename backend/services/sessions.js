@@ -0,0 +1,151 @@
+// Session service
+// A login opens a session (the refresh token family). The client gets a
+// short-lived JWT access token and an opaque refresh token; each refresh
+// consumes the refresh token and hands out a new one in the same session.
+// Presenting a refresh token that was already used means it leaked, so the
+// whole session is revoked. authenticateToken rejects access tokens whose
+// session has been revoked.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { VersionConflictError } = require('../data/errors');
+const { JWT_SECRET } = require('../middleware/auth');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Refresh tokens are only ever stored as hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user.id, email: user.email, sid: sessionId },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const issueRefreshToken = async (session) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  await db.refreshTokens.create({
+    id: uuidv4(),
+    sessionId: session.id,
+    userId: session.userId,
+    tokenHash: hashToken(refreshToken),
+    usedAt: null,
+    expiresAt: session.expiresAt,
+    createdAt: new Date()
+  });
+
+  return refreshToken;
+};
+
+/**
+ * Open a new session for a user who just authenticated.
+ * @param {Object} user
+ * @param {Object} [context] - userAgent and ip of the client, kept for display
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string}>}
+ */
+const startSession = async (user, { userAgent = null, ip = null } = {}) => {
+  const session = await db.sessions.create({
+    id: uuidv4(),
+    userId: user.id,
+    userAgent,
+    ip,
+    revokedAt: null,
+    revokedReason: null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+    createdAt: new Date()
+  });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: await issueRefreshToken(session),
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+const revokeSession = async (sessionId, reason) => {
+  const session = await db.sessions.findById(sessionId);
+  if (!session || session.revokedAt) {
+    return null;
+  }
+  return db.sessions.update(sessionId, { revokedAt: new Date(), revokedReason: reason });
+};
+
+/**
+ * Revoke every open session of a user.
+ * @param {string} userId
+ * @param {string} reason
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Session to leave open, usually the caller's
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, { exceptSessionId } = {}) => {
+  const sessions = await db.sessions.find(session =>
+    session.userId === userId && !session.revokedAt && session.id !== exceptSessionId
+  );
+  for (const session of sessions) {
+    await revokeSession(session.id, reason);
+  }
+  return sessions.length;
+};
+
+const isSessionActive = (session) =>
+  Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > new Date();
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * @param {string} refreshToken
+ * @returns {Promise<Object|null>} New tokens, or null when the token is not acceptable
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const stored = await db.refreshTokens.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored) {
+    return null;
+  }
+
+  const session = await db.sessions.findById(stored.sessionId);
+  if (!isSessionActive(session)) {
+    return null;
+  }
+
+  // A used token coming back means someone else holds a copy
+  if (stored.usedAt) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    return null;
+  }
+
+  try {
+    // Versioned write: of two concurrent refreshes with the same token only
+    // one can mark it used, the other is treated as reuse
+    await db.refreshTokens.update(stored.id, { usedAt: new Date() }, { expectedVersion: stored.version });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      await revokeSession(session.id, 'refresh_token_reuse');
+      return null;
+    }
+    throw error;
+  }
+
+  const user = await db.users.findById(session.userId);
+  if (!user) {
+    return null;
+  }
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: await issueRefreshToken(session),
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+module.exports = {
+  startSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
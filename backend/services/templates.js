@@ -0,0 +1,226 @@
+// Event template service
+// A template is a starting checklist for a new event: tasks with due dates
+// relative to the event date, planned expenses and vendor slots still to be
+// booked. Built-in templates exist per event type; users can also save their
+// own from an existing event.
+//
+// Template shape (built-in and saved alike):
+//   tasks        [{ name, description, dueOffsetDays, weight }]  offset from the event date, negative = before
+//   expenses     [{ name, category, plannedAmount }]
+//   vendorSlots  [{ serviceProvided }]
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { can } = require('./permissions');
+const { recordChange } = require('./audit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shown as the company of a vendor slot until the real vendor is filled in
+const PLACEHOLDER_COMPANY = 'To be booked';
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'builtin-wedding',
+    name: 'Wedding essentials',
+    type: 'Wedding',
+    tasks: [
+      { name: 'Set the budget', description: 'Agree on the total budget and who contributes', dueOffsetDays: -300, weight: 2 },
+      { name: 'Book Venue', description: 'Find and book the ceremony and reception venue', dueOffsetDays: -270, weight: 3 },
+      { name: 'Draft guest list', description: '', dueOffsetDays: -240, weight: 1 },
+      { name: 'Book photographer', description: '', dueOffsetDays: -210, weight: 2 },
+      { name: 'Send save-the-dates', description: '', dueOffsetDays: -180, weight: 1 },
+      { name: 'Choose caterer and menu', description: 'Include a tasting', dueOffsetDays: -150, weight: 2 },
+      { name: 'Send invitations', description: '', dueOffsetDays: -60, weight: 1 },
+      { name: 'Finalise seating plan', description: '', dueOffsetDays: -14, weight: 1 },
+      { name: 'Confirm timings with vendors', description: '', dueOffsetDays: -7, weight: 1 }
+    ],
+    expenses: [
+      { name: 'Venue hire', category: 'Venue', plannedAmount: 8000 },
+      { name: 'Catering', category: 'Catering', plannedAmount: 6000 },
+      { name: 'Photography', category: 'Photography', plannedAmount: 2500 },
+      { name: 'Flowers and decoration', category: 'Decoration', plannedAmount: 1500 },
+      { name: 'Music', category: 'Entertainment', plannedAmount: 1200 },
+      { name: 'Attire', category: 'Attire', plannedAmount: 2000 }
+    ],
+    vendorSlots: [
+      { serviceProvided: 'Venue' },
+      { serviceProvided: 'Catering' },
+      { serviceProvided: 'Photography' },
+      { serviceProvided: 'Florist' },
+      { serviceProvided: 'Music' }
+    ]
+  },
+  {
+    id: 'builtin-birthday',
+    name: 'Birthday party',
+    type: 'Birthday',
+    tasks: [
+      { name: 'Pick a venue', description: '', dueOffsetDays: -30, weight: 2 },
+      { name: 'Send invitations', description: '', dueOffsetDays: -21, weight: 1 },
+      { name: 'Order cake', description: '', dueOffsetDays: -7, weight: 1 },
+      { name: 'Buy decorations', description: '', dueOffsetDays: -5, weight: 1 },
+      { name: 'Plan food and drinks', description: '', dueOffsetDays: -3, weight: 1 }
+    ],
+    expenses: [
+      { name: 'Venue', category: 'Venue', plannedAmount: 300 },
+      { name: 'Cake', category: 'Catering', plannedAmount: 80 },
+      { name: 'Food and drinks', category: 'Catering', plannedAmount: 250 },
+      { name: 'Decorations', category: 'Decoration', plannedAmount: 60 }
+    ],
+    vendorSlots: [
+      { serviceProvided: 'Bakery' }
+    ]
+  },
+  {
+    id: 'builtin-conference',
+    name: 'Conference',
+    type: 'Conference',
+    tasks: [
+      { name: 'Book Venue', description: '', dueOffsetDays: -180, weight: 3 },
+      { name: 'Open registration', description: '', dueOffsetDays: -120, weight: 2 },
+      { name: 'Confirm speakers', description: '', dueOffsetDays: -90, weight: 2 },
+      { name: 'Publish agenda', description: '', dueOffsetDays: -45, weight: 1 },
+      { name: 'Print badges', description: '', dueOffsetDays: -7, weight: 1 }
+    ],
+    expenses: [
+      { name: 'Venue hire', category: 'Venue', plannedAmount: 5000 },
+      { name: 'Catering', category: 'Catering', plannedAmount: 3000 },
+      { name: 'AV equipment', category: 'Equipment', plannedAmount: 1500 }
+    ],
+    vendorSlots: [
+      { serviceProvided: 'Venue' },
+      { serviceProvided: 'Catering' },
+      { serviceProvided: 'Audio-visual' }
+    ]
+  }
+].map(template => ({ ...template, builtIn: true, ownerId: null }));
+
+const isSameType = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Templates a user can use: the built-in ones and their own.
+ * @param {string} userId
+ * @param {string} [type] - Only templates for this event type
+ * @returns {Promise<Array>}
+ */
+const listTemplates = async (userId, type) => {
+  const saved = await db.eventTemplates.find({ ownerId: userId });
+  const templates = [...BUILT_IN_TEMPLATES, ...saved];
+  return type ? templates.filter(template => isSameType(template.type, type)) : templates;
+};
+
+/**
+ * A template the user can use, or null.
+ * @param {string} templateId
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+const findTemplate = async (templateId, userId) =>
+  BUILT_IN_TEMPLATES.find(template => template.id === templateId)
+  || await db.eventTemplates.findOne({ id: templateId, ownerId: userId });
+
+/**
+ * Save an event's tasks, expenses and vendors as a template. Only the parts
+ * the user's role can read are captured.
+ * @param {Object} event
+ * @param {string} userId
+ * @param {string} name
+ * @returns {Promise<Object>} The saved template
+ */
+const captureTemplate = async (event, userId, name) => {
+  const eventDate = new Date(event.date);
+  const readable = (resource) => can(event, userId, resource, 'read');
+
+  const [eventTasks, eventExpenses, eventVendors] = await Promise.all(
+    ['tasks', 'expenses', 'vendors'].map(resource =>
+      readable(resource) ? db[resource].find({ eventId: event.id }) : []
+    )
+  );
+
+  const template = {
+    id: uuidv4(),
+    name,
+    type: event.type,
+    builtIn: false,
+    ownerId: userId,
+    sourceEventId: event.id,
+    tasks: eventTasks.map(task => ({
+      name: task.name,
+      description: task.description || '',
+      dueOffsetDays: task.dueDate ? Math.round((new Date(task.dueDate) - eventDate) / DAY_MS) : null,
+      weight: task.weight ?? 1
+    })),
+    expenses: eventExpenses.map(expense => ({
+      name: expense.name,
+      category: expense.category,
+      plannedAmount: expense.amount
+    })),
+    // One slot per service; the booked vendor itself is not part of the template
+    vendorSlots: [...new Set(eventVendors.map(vendor => vendor.serviceProvided))]
+      .map(serviceProvided => ({ serviceProvided })),
+    version: 1,
+    createdAt: new Date()
+  };
+
+  return db.eventTemplates.create(template);
+};
+
+/**
+ * Create a template's tasks, expenses and vendor slots on a new event. Each
+ * record is logged like any other creation.
+ * @param {Object} template
+ * @param {Object} event
+ * @param {string} actorId
+ * @returns {Promise<{tasks: number, expenses: number, vendors: number}>} Records created
+ */
+const applyTemplate = async (template, event, actorId) => {
+  const eventDate = new Date(event.date);
+  const base = () => ({ id: uuidv4(), eventId: event.id, version: 1, createdAt: new Date() });
+
+  const seeded = {
+    task: template.tasks.map(task => ({
+      ...base(),
+      name: task.name,
+      description: task.description || '',
+      assigneeId: null,
+      dueDate: task.dueOffsetDays === null ? null : new Date(eventDate.getTime() + task.dueOffsetDays * DAY_MS),
+      status: 'To-Do',
+      weight: task.weight ?? 1
+    })),
+    expense: template.expenses.map(expense => ({
+      ...base(),
+      name: expense.name,
+      category: expense.category,
+      amount: expense.plannedAmount,
+      isPaid: false
+    })),
+    vendor: template.vendorSlots.map(slot => ({
+      ...base(),
+      companyName: PLACEHOLDER_COMPANY,
+      contactName: '',
+      email: null,
+      serviceProvided: slot.serviceProvided,
+      isConfirmed: false,
+      placeholder: true
+    }))
+  };
+
+  const collections = { task: 'tasks', expense: 'expenses', vendor: 'vendors' };
+  for (const [entityType, records] of Object.entries(seeded)) {
+    for (const record of records) {
+      await db[collections[entityType]].create(record);
+      await recordChange({ actorId, eventId: event.id, entityType, action: 'create', after: record });
+    }
+  }
+
+  return { tasks: seeded.task.length, expenses: seeded.expense.length, vendors: seeded.vendor.length };
+};
+
+module.exports = {
+  BUILT_IN_TEMPLATES,
+  listTemplates,
+  findTemplate,
+  captureTemplate,
+  applyTemplate
+};
@@ -0,0 +1,79 @@
+// Trash service
+// Deleted records stay in the trash for TRASH_RETENTION_DAYS before a
+// periodic purge removes them for good.
+
+const db = require('../data');
+const { EVENT_RESOURCES, removeEventCascade } = require('./eventCleanup');
+const { removeCommentsFor } = require('./comments');
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When a trashed record becomes eligible for purging
+const purgeDate = (record) => new Date(new Date(record.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+const withPurgeDate = (record) => ({ ...record, purgeAt: purgeDate(record) });
+
+/**
+ * Trashed child records of an event, grouped by resource. Records trashed as
+ * part of the event itself are left out; they come back with the event.
+ * @param {string} eventId
+ * @returns {Promise<Object>}
+ */
+const listEventTrash = async (eventId) => {
+  const trash = {};
+
+  for (const resource of EVENT_RESOURCES) {
+    const records = await db[resource].find(
+      record => record.eventId === eventId && record.deletedAt && !record.deletedWithEvent,
+      { withDeleted: true }
+    );
+    trash[resource] = records.map(withPurgeDate);
+  }
+
+  return trash;
+};
+
+/**
+ * Permanently remove everything whose retention window has passed.
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Number of purged records per collection
+ */
+const purgeExpiredTrash = async (now = new Date()) => {
+  const isExpired = record => record.deletedAt && purgeDate(record) <= now;
+  const purged = { events: 0 };
+
+  // Events take their children with them
+  const expiredEvents = await db.events.find(isExpired, { withDeleted: true });
+  for (const event of expiredEvents) {
+    await removeEventCascade(event);
+    purged.events += 1;
+  }
+
+  for (const resource of EVENT_RESOURCES) {
+    const removed = await db[resource].removeWhere(isExpired);
+    await removeCommentsFor(resource, removed.map(record => record.id));
+    purged[resource] = removed.length;
+  }
+
+  return purged;
+};
+
+const startTrashPurgeJob = () => {
+  const timer = setInterval(() => {
+    purgeExpiredTrash().catch(error => console.error('Trash purge error:', error));
+  }, PURGE_INTERVAL_MS);
+
+  // Never keep the process alive just for the purge
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeDate,
+  listEventTrash,
+  purgeExpiredTrash,
+  startTrashPurgeJob
+};
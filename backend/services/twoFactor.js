@@ -0,0 +1,202 @@
+// Two-factor authentication service
+// Time-based one-time passwords (RFC 6238: HMAC-SHA1, 6 digits, 30 second
+// steps) compatible with the usual authenticator apps, plus single-use
+// recovery codes for when the device is lost.
+//
+// Enrollment is two-step: setup stores a pending secret, and 2FA is only
+// switched on once a code generated from it has been confirmed.
+
+const crypto = require('crypto');
+const { users } = require('../data');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'PlanPilot';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Accept codes from one step either side to allow for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_CHALLENGE_TTL_MINUTES = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES || '5', 10);
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  text.replace(/=+$/, '').toUpperCase().split('').forEach(char => {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+  });
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const otpauthUri = (user, secret) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Code for a secret at a given time step.
+ * @param {string} secret - Base32 secret
+ * @param {number} step
+ * @returns {string}
+ */
+const generateTotp = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Check a code against a secret. A code is only good once: steps at or before
+ * lastUsedStep are refused.
+ * @param {string} secret
+ * @param {string} code
+ * @param {number} [lastUsedStep]
+ * @returns {number|null} The matching time step, or null
+ */
+const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const step = currentStep();
+  for (let candidate = step - TOTP_WINDOW; candidate <= step + TOTP_WINDOW; candidate++) {
+    if (candidate <= lastUsedStep) continue;
+    const expected = generateTotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+// Fresh recovery codes: the raw codes for the user and the hashes to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Start enrollment with a new pending secret.
+ * @param {Object} user
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ */
+const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  await users.update(user.id, { twoFactorPendingSecret: secret });
+  return { secret, otpauthUri: otpauthUri(user, secret) };
+};
+
+/**
+ * Finish enrollment with a code from the pending secret.
+ * @param {Object} user
+ * @param {string} code
+ * @returns {Promise<string[]|null>} Recovery codes, or null for a wrong code
+ */
+const confirmEnrollment = async (user, code) => {
+  const step = verifyTotp(user.twoFactorPendingSecret, code);
+  if (step === null) {
+    return null;
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await users.update(user.id, {
+    twoFactorEnabled: true,
+    twoFactorSecret: user.twoFactorPendingSecret,
+    twoFactorPendingSecret: undefined,
+    twoFactorLastStep: step,
+    twoFactorRecoveryCodes: hashes
+  });
+  return codes;
+};
+
+/**
+ * Check a second factor for a user with 2FA enabled and use it up.
+ * @param {Object} user
+ * @param {Object} factor
+ * @param {string} [factor.code] - Code from the authenticator app
+ * @param {string} [factor.recoveryCode] - One of the recovery codes
+ * @returns {Promise<Object|null>} The updated user, or null when the factor is wrong
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastStep);
+    return step === null ? null : users.update(user.id, { twoFactorLastStep: step });
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!user.twoFactorRecoveryCodes.includes(hash)) {
+      return null;
+    }
+    return users.update(user.id, {
+      twoFactorRecoveryCodes: user.twoFactorRecoveryCodes.filter(stored => stored !== hash)
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Replace the recovery codes of a user with 2FA enabled.
+ * @param {Object} user
+ * @returns {Promise<string[]>} The new raw codes
+ */
+const regenerateRecoveryCodes = async (user) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await users.update(user.id, { twoFactorRecoveryCodes: hashes });
+  return codes;
+};
+
+const disableTwoFactor = async (user) => users.update(user.id, {
+  twoFactorEnabled: false,
+  twoFactorSecret: undefined,
+  twoFactorPendingSecret: undefined,
+  twoFactorLastStep: undefined,
+  twoFactorRecoveryCodes: undefined
+});
+
+module.exports = {
+  TWO_FACTOR_CHALLENGE_TTL_MINUTES,
+  generateTotp,
+  verifyTotp,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
@@ -0,0 +1,271 @@
+// Webhook service
+// Event owners register URLs that receive a signed POST whenever something
+// they subscribed to happens on the event. Every delivery is logged in
+// webhookDeliveries; failed ones are retried with exponential backoff by a
+// background job until WEBHOOK_MAX_ATTEMPTS is reached, and any delivery can
+// be sent again by hand.
+//
+// Receivers verify the X-PlanPilot-Signature header, "t=<unix seconds>,
+// v1=<hex>", where v1 is the HMAC-SHA256 of "<t>.<raw body>" keyed with the
+// webhook secret.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { subscribeAll } = require('./realtime');
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30', 10);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const RETRY_POLL_MS = parseInt(process.env.WEBHOOK_RETRY_POLL_SECONDS || '15', 10) * 1000;
+
+const SECRET_PREFIX = 'whsec_';
+
+// Every type a webhook can subscribe to. Besides <entity>.<action> a change
+// can raise a more specific type, e.g. a task update that completes the task
+// raises both task.updated and task.completed.
+const WEBHOOK_EVENT_TYPES = [
+  'event.updated', 'event.deleted', 'event.restored', 'event.status_changed',
+  'task.created', 'task.updated', 'task.deleted', 'task.restored', 'task.completed',
+  'guest.created', 'guest.updated', 'guest.deleted', 'guest.restored', 'guest.rsvp_changed',
+  'vendor.created', 'vendor.updated', 'vendor.deleted', 'vendor.restored',
+  'expense.created', 'expense.updated', 'expense.deleted', 'expense.restored', 'expense.paid',
+  'session.created', 'session.updated', 'session.deleted', 'session.restored'
+];
+
+const PAST_TENSE = {
+  create: 'created',
+  update: 'updated',
+  delete: 'deleted',
+  restore: 'restored'
+};
+
+const generateSecret = () => `${SECRET_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+// The secret is only shown when the webhook is created
+const toPublicWebhook = ({ secret, ...webhook }) => ({ ...webhook, secretHint: `${secret.slice(0, SECRET_PREFIX.length + 4)}…` });
+
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Webhook event types raised by an audit entry.
+ * @param {Object} entry
+ * @returns {string[]}
+ */
+const eventTypesFor = (entry) => {
+  const types = [`${entry.entityType}.${PAST_TENSE[entry.action]}`];
+  if (entry.action !== 'update') {
+    return types;
+  }
+
+  const changed = (field) => entry.changes.find(change => change.field === field);
+  if (entry.entityType === 'event' && changed('status')) {
+    types.push('event.status_changed');
+  }
+  if (entry.entityType === 'task' && changed('status')?.after === 'Completed') {
+    types.push('task.completed');
+  }
+  if (entry.entityType === 'guest' && changed('rsvpStatus')) {
+    types.push('guest.rsvp_changed');
+  }
+  if (entry.entityType === 'expense' && changed('isPaid')?.after === true) {
+    types.push('expense.paid');
+  }
+  return types;
+};
+
+// Wait before the next attempt: base, 2x base, 4x base, ...
+const retryDelayMs = (attempts) => WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+
+/**
+ * POST a delivery to its webhook and log the outcome. Failures are scheduled
+ * for another attempt until WEBHOOK_MAX_ATTEMPTS is reached.
+ * @param {Object} delivery
+ * @returns {Promise<Object>} The updated delivery
+ */
+const attemptDelivery = async (delivery) => {
+  const webhook = await db.webhooks.findById(delivery.webhookId);
+  if (!webhook) {
+    return db.webhookDeliveries.update(delivery.id, { status: 'failed', nextAttemptAt: null, error: 'Webhook was deleted' });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+  const outcome = { attempts, lastAttemptAt: new Date(), responseStatus: null, error: null };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'PlanPilot-Webhooks/1.0',
+        'X-PlanPilot-Event': delivery.type,
+        'X-PlanPilot-Delivery': delivery.id,
+        'X-PlanPilot-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    outcome.responseStatus = response.status;
+    if (!response.ok) {
+      outcome.error = `Receiver answered ${response.status}`;
+    }
+  } catch (error) {
+    outcome.error = error.name === 'TimeoutError' ? `No answer within ${WEBHOOK_TIMEOUT_MS} ms` : error.message;
+  }
+
+  if (!outcome.error) {
+    return db.webhookDeliveries.update(delivery.id, { ...outcome, status: 'succeeded', nextAttemptAt: null });
+  }
+
+  const retry = attempts < WEBHOOK_MAX_ATTEMPTS;
+  return db.webhookDeliveries.update(delivery.id, {
+    ...outcome,
+    status: retry ? 'pending' : 'failed',
+    nextAttemptAt: retry ? new Date(Date.now() + retryDelayMs(attempts)) : null
+  });
+};
+
+/**
+ * Log a delivery and make the first attempt.
+ * @param {Object} webhook
+ * @param {string} type - Webhook event type
+ * @param {Object} payload - Body sent to the receiver
+ * @param {string} [redeliveryOf] - Delivery this one repeats
+ * @returns {Promise<Object>} The delivery after its first attempt
+ */
+const deliver = async (webhook, type, payload, redeliveryOf = null) => {
+  const delivery = await db.webhookDeliveries.create({
+    id: uuidv4(),
+    webhookId: webhook.id,
+    eventId: webhook.eventId,
+    type,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    lastAttemptAt: null,
+    // Only picked up by the retry job if this first attempt never finishes
+    nextAttemptAt: new Date(Date.now() + 2 * WEBHOOK_TIMEOUT_MS),
+    responseStatus: null,
+    error: null,
+    redeliveryOf,
+    createdAt: new Date()
+  });
+
+  return attemptDelivery(delivery);
+};
+
+/**
+ * Send the same payload again as a new delivery.
+ * @param {Object} webhook
+ * @param {Object} delivery - Delivery to repeat
+ * @returns {Promise<Object>} The new delivery
+ */
+const redeliver = async (webhook, delivery) => deliver(webhook, delivery.type, delivery.payload, delivery.id);
+
+// Let the receiver check the URL and secret without waiting for a change
+const sendPing = async (webhook) => deliver(webhook, 'webhook.ping', {
+  id: uuidv4(),
+  type: 'webhook.ping',
+  eventId: webhook.eventId,
+  createdAt: new Date(),
+  data: { webhookId: webhook.id }
+});
+
+// Fan a recorded change out to the event's webhooks
+const dispatchChange = async ({ entry, record }) => {
+  const hooks = await db.webhooks.find({ eventId: entry.eventId, active: true });
+  const types = eventTypesFor(entry);
+
+  for (const webhook of hooks) {
+    for (const type of types.filter(eventType => webhook.eventTypes.includes(eventType))) {
+      await deliver(webhook, type, {
+        // Stable across redeliveries so receivers can drop duplicates
+        id: `${entry.id}:${type}`,
+        type,
+        eventId: entry.eventId,
+        createdAt: entry.timestamp,
+        data: {
+          entityType: entry.entityType,
+          entityId: entry.entityId,
+          action: entry.action,
+          actorId: entry.actorId,
+          changes: entry.changes,
+          record
+        }
+      });
+    }
+  }
+};
+
+// Dispatches still running, by event ID
+const inFlight = new Map();
+
+const trackDispatch = (eventId, dispatch) => {
+  const running = inFlight.get(eventId) || new Set();
+  running.add(dispatch);
+  inFlight.set(eventId, running);
+  dispatch.finally(() => {
+    running.delete(dispatch);
+    if (running.size === 0) inFlight.delete(eventId);
+  });
+};
+
+/**
+ * Wait for the first delivery attempt of every change already dispatched for
+ * an event. Removing an event takes its webhooks along, so anything announced
+ * just before has to be sent first.
+ * @param {string} eventId
+ * @returns {Promise<void>}
+ */
+const settleDispatches = async (eventId) => {
+  await Promise.all([...(inFlight.get(eventId) || [])]);
+};
+
+// Attempt every pending delivery whose retry time has come
+const retryDueDeliveries = async (now = new Date()) => {
+  const due = await db.webhookDeliveries.find(delivery =>
+    delivery.status === 'pending' && delivery.nextAttemptAt && new Date(delivery.nextAttemptAt) <= now
+  );
+  for (const delivery of due) {
+    await attemptDelivery(delivery);
+  }
+  return due.length;
+};
+
+const startWebhookDispatcher = () => {
+  // Deliveries run in the background and never hold up or fail the request
+  subscribeAll((change) => {
+    trackDispatch(change.entry.eventId, dispatchChange(change).catch(error => console.error('Webhook dispatch error:', error)));
+  });
+
+  let retrying = false;
+  const timer = setInterval(() => {
+    if (retrying) return;
+    retrying = true;
+    retryDueDeliveries()
+      .catch(error => console.error('Webhook retry error:', error))
+      .finally(() => { retrying = false; });
+  }, RETRY_POLL_MS);
+
+  // Never keep the process alive just for retries
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  WEBHOOK_MAX_ATTEMPTS,
+  generateSecret,
+  toPublicWebhook,
+  signPayload,
+  eventTypesFor,
+  redeliver,
+  sendPing,
+  retryDueDeliveries,
+  settleDispatches,
+  startWebhookDispatcher
+};
@@ -33,6 +33,18 @@ const options = {
             id: { type: 'string', example: 'uuid-here' },
             name: { type: 'string', example: 'John Doe' },
             email: { type: 'string', example: 'john@example.com' },
+            emailVerified: { type: 'boolean', example: true },
+            emailVerifiedAt: { type: 'string', format: 'date-time', nullable: true },
+            pendingEmail: { type: 'string', nullable: true, example: null, description: 'New address waiting for verification' },
+            timezone: { type: 'string', example: 'UTC' },
+            locale: { type: 'string', example: 'en-US' },
+            notificationPreferences: {
+              type: 'object',
+              description: 'Notification type -> on/off; types left out are on',
+              additionalProperties: { type: 'boolean' }
+            },
+            notificationDigest: { type: 'string', enum: ['off', 'daily', 'weekly'], example: 'off' },
+            twoFactorEnabled: { type: 'boolean', example: false },
             createdAt: { type: 'string', format: 'date-time' }
           }
         },
@@ -46,7 +58,23 @@ const options = {
             description: { type: 'string', example: 'Beautiful summer wedding celebration' },
             hostId: { type: 'string', example: 'user-uuid' },
             collaborators: { type: 'array', items: { type: 'string' } },
+            roles: {
+              type: 'object',
+              description: 'Collaborator user ID -> role; the host is always the owner',
+              additionalProperties: { type: 'string', enum: ['editor', 'finance', 'guest-manager', 'viewer'] }
+            },
             vendors: { type: 'array', items: { type: 'string' } },
+            templateId: { type: 'string', nullable: true, example: 'builtin-wedding', description: 'Template the event was created from' },
+            clonedFromId: { type: 'string', nullable: true, description: 'Event this one was copied from' },
+            status: { type: 'string', enum: ['Draft', 'Planning', 'Confirmed', 'Live', 'Completed', 'Cancelled', 'Archived'], example: 'Planning' },
+            statusChangedAt: { type: 'string', format: 'date-time' },
+            archivedFrom: { type: 'string', nullable: true, description: 'Status the event goes back to when taken out of the archive' },
+            progressWeights: {
+              type: 'object',
+              description: 'Weight of each progress component (0-100); unset components use the defaults',
+              example: { tasks: 50, rsvp: 20, vendors: 15, budget: 15 }
+            },
+            version: { type: 'integer', example: 1, description: 'Incremented on every update; sent back as the ETag' },
             createdAt: { type: 'string', format: 'date-time' }
           }
         },
@@ -59,7 +87,9 @@ const options = {
             assigneeId: { type: 'string', example: 'user-uuid' },
             dueDate: { type: 'string', format: 'date' },
             status: { type: 'string', enum: ['To-Do', 'In Progress', 'Completed', 'On Hold'] },
+            weight: { type: 'integer', example: 1, description: 'How much the task counts towards event progress' },
             eventId: { type: 'string', example: 'event-uuid' },
+            version: { type: 'integer', example: 1, description: 'Incremented on every update; sent back as the ETag' },
             createdAt: { type: 'string', format: 'date-time' }
           }
         },
@@ -73,6 +103,7 @@ const options = {
             notes: { type: 'string', example: 'Vegetarian meal preference' },
             rsvpStatus: { type: 'string', enum: ['Pending', 'Confirmed', 'Declined', 'Maybe'] },
             eventId: { type: 'string', example: 'event-uuid' },
+            version: { type: 'integer', example: 1, description: 'Incremented on every update; sent back as the ETag' },
             createdAt: { type: 'string', format: 'date-time' }
           }
         },
@@ -84,7 +115,10 @@ const options = {
             contactName: { type: 'string', example: 'Sarah Johnson' },
             email: { type: 'string', example: 'sarah@elegantcatering.com' },
             serviceProvided: { type: 'string', example: 'Catering' },
+            isConfirmed: { type: 'boolean', example: false },
+            placeholder: { type: 'boolean', example: false, description: 'Vendor slot from a template that has not been filled in yet' },
             eventId: { type: 'string', example: 'event-uuid' },
+            version: { type: 'integer', example: 1, description: 'Incremented on every update; sent back as the ETag' },
             createdAt: { type: 'string', format: 'date-time' }
           }
         },
@@ -97,14 +131,222 @@ const options = {
             amount: { type: 'number', example: 2500 },
             isPaid: { type: 'boolean', example: true },
             eventId: { type: 'string', example: 'event-uuid' },
+            version: { type: 'integer', example: 1, description: 'Incremented on every update; sent back as the ETag' },
             createdAt: { type: 'string', format: 'date-time' }
           }
         },
+        Session: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'uuid-here' },
+            title: { type: 'string', example: 'Opening keynote' },
+            startsAt: { type: 'string', format: 'date-time' },
+            endsAt: { type: 'string', format: 'date-time' },
+            location: { type: 'string', nullable: true, example: 'Main hall' },
+            description: { type: 'string' },
+            responsibleId: { type: 'string', nullable: true, example: 'user-uuid' },
+            vendorIds: { type: 'array', items: { type: 'string' } },
+            conflicts: {
+              type: 'array',
+              description: 'Create and update only: clashes accepted with allowConflicts',
+              items: {
+                type: 'object',
+                properties: {
+                  sessionId: { type: 'string' },
+                  title: { type: 'string' },
+                  shared: { type: 'array', items: { type: 'object' }, example: [{ type: 'location', location: 'Main hall' }] }
+                }
+              }
+            },
+            eventId: { type: 'string', example: 'event-uuid' },
+            version: { type: 'integer', example: 1, description: 'Incremented on every update; sent back as the ETag' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        EventTemplate: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'builtin-wedding' },
+            name: { type: 'string', example: 'Wedding essentials' },
+            type: { type: 'string', example: 'Wedding' },
+            builtIn: { type: 'boolean', example: true },
+            ownerId: { type: 'string', nullable: true, description: 'Null for built-in templates' },
+            sourceEventId: { type: 'string', description: 'Saved templates only: the event they were captured from' },
+            tasks: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', example: 'Book Venue' },
+                  description: { type: 'string' },
+                  dueOffsetDays: { type: 'integer', nullable: true, example: -270, description: 'Days from the event date; negative is before' },
+                  weight: { type: 'integer', example: 3 }
+                }
+              }
+            },
+            expenses: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', example: 'Venue hire' },
+                  category: { type: 'string', example: 'Venue' },
+                  plannedAmount: { type: 'number', example: 8000 }
+                }
+              }
+            },
+            vendorSlots: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  serviceProvided: { type: 'string', example: 'Photography' }
+                }
+              }
+            }
+          }
+        },
+        AuditEntry: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'uuid-here' },
+            eventId: { type: 'string', example: 'event-uuid' },
+            entityType: { type: 'string', enum: ['event', 'task', 'guest', 'vendor', 'expense', 'session'] },
+            entityId: { type: 'string', example: 'task-uuid' },
+            action: { type: 'string', enum: ['create', 'update', 'delete', 'restore'] },
+            actorId: { type: 'string', example: 'user-uuid' },
+            changes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', example: 'status' },
+                  before: { example: 'To-Do' },
+                  after: { example: 'Completed' }
+                }
+              }
+            },
+            revertOf: { type: 'string', nullable: true, example: null },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        },
+        Activity: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: 'ID of the underlying history entry' },
+            entityType: { type: 'string', enum: ['event', 'task', 'guest', 'vendor', 'expense', 'session'] },
+            entityId: { type: 'string', example: 'task-uuid' },
+            action: { type: 'string', enum: ['create', 'update', 'delete', 'restore'] },
+            actorId: { type: 'string', example: 'user-uuid' },
+            message: { type: 'string', example: 'Jane Smith completed task "Order cake"' },
+            timestamp: { type: 'string', format: 'date-time' },
+            unread: { type: 'boolean', example: true }
+          }
+        },
         AuthResponse: {
           type: 'object',
           properties: {
-            token: { type: 'string', example: 'jwt-token-here' },
-            user: { $ref: '#/components/schemas/User' }
+            token: { type: 'string', example: 'jwt-access-token-here' },
+            refreshToken: { type: 'string', example: 'opaque-refresh-token-here' },
+            expiresIn: { type: 'string', example: '15m' },
+            user: { $ref: '#/components/schemas/User' },
+            securityNotices: {
+              type: 'array',
+              description: 'Login only: account lockouts since the previous login',
+              items: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', example: 'account_locked' },
+                  occurredAt: { type: 'string', format: 'date-time' },
+                  ip: { type: 'string', example: '203.0.113.7' },
+                  message: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        TokenPair: {
+          type: 'object',
+          properties: {
+            token: { type: 'string', example: 'jwt-access-token-here' },
+            refreshToken: { type: 'string', example: 'opaque-refresh-token-here' },
+            expiresIn: { type: 'string', example: '15m' }
+          }
+        },
+        TwoFactorChallenge: {
+          type: 'object',
+          properties: {
+            twoFactorRequired: { type: 'boolean', example: true },
+            challengeToken: { type: 'string', example: 'opaque-challenge-token-here' },
+            expiresIn: { type: 'integer', example: 300, description: 'Seconds until the challenge expires' }
+          }
+        },
+        PersonalAccessToken: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'uuid-string' },
+            name: { type: 'string', example: 'Guest list import' },
+            scopes: { type: 'array', items: { type: 'string' }, example: ['read', 'guests:write'] },
+            tokenHint: { type: 'string', example: 'pp_3f9a' },
+            expiresAt: { type: 'string', format: 'date-time', nullable: true },
+            lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+            revokedAt: { type: 'string', format: 'date-time', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        Notification: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'uuid-string' },
+            type: { type: 'string', enum: ['task-assigned', 'task-overdue', 'guest-rsvp', 'event-invitation', 'comment-mention'] },
+            eventId: { type: 'string', example: 'event-uuid' },
+            message: { type: 'string', example: 'Jane Smith assigned you "Order cake" on "Summer Wedding"' },
+            link: { type: 'string', nullable: true, example: '/events/event-uuid/tasks/task-uuid' },
+            data: { type: 'object', example: { taskId: 'task-uuid' } },
+            readAt: { type: 'string', format: 'date-time', nullable: true },
+            digestedAt: { type: 'string', format: 'date-time', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        Webhook: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'uuid-string' },
+            eventId: { type: 'string', example: 'event-uuid' },
+            url: { type: 'string', example: 'https://crm.example.com/planpilot' },
+            eventTypes: { type: 'array', items: { type: 'string' }, example: ['guest.rsvp_changed', 'expense.paid'] },
+            secretHint: { type: 'string', example: 'whsec_3f9a…' },
+            active: { type: 'boolean', example: true },
+            createdBy: { type: 'string', example: 'user-uuid' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: 'Also sent as X-PlanPilot-Delivery' },
+            webhookId: { type: 'string' },
+            type: { type: 'string', example: 'expense.paid' },
+            payload: { type: 'object', description: 'The JSON body sent to the receiver' },
+            status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+            attempts: { type: 'integer', example: 1 },
+            lastAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+            nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+            responseStatus: { type: 'integer', nullable: true, example: 200 },
+            error: { type: 'string', nullable: true },
+            redeliveryOf: { type: 'string', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        NotificationPreferences: {
+          type: 'object',
+          properties: {
+            types: {
+              type: 'object',
+              additionalProperties: { type: 'boolean' },
+              example: { 'task-assigned': true, 'guest-rsvp': false }
+            },
+            digest: { type: 'string', enum: ['off', 'daily', 'weekly'], example: 'daily' }
           }
         },
         Error: {
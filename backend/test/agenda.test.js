@@ -0,0 +1,153 @@
+// Agenda tests
+// Clash detection between sessions, the checks a session gets when it comes
+// back from the trash or the history, and the run-of-show.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const {
+  eventVendorIds,
+  findConflicts,
+  listConflicts,
+  checkReturningSession,
+  buildRunOfShow,
+  formatRunOfShow
+} = require('../services/agenda');
+const { RevertError, recordChange, revertChange } = require('../services/audit');
+
+let host;
+let event;
+let vendor;
+
+const createSession = async (title, startsAt, endsAt, fields = {}) => db.agendaSessions.create({
+  id: uuidv4(),
+  eventId: event.id,
+  title,
+  startsAt: new Date(startsAt),
+  endsAt: new Date(endsAt),
+  location: null,
+  responsibleId: null,
+  vendorIds: [],
+  description: '',
+  createdAt: new Date(),
+  ...fields
+});
+
+const conflictsOf = async (session) =>
+  findConflicts(session, await db.agendaSessions.find({ eventId: event.id }), await eventVendorIds(event.id));
+
+beforeEach(async () => {
+  host = await db.users.create({ id: uuidv4(), name: 'Hana', email: `hana-${uuidv4()}@example.com`, createdAt: new Date() });
+  event = await db.events.create({
+    id: uuidv4(),
+    name: 'Summit',
+    type: 'Conference',
+    date: new Date('2030-06-01T00:00:00Z'),
+    hostId: host.id,
+    collaborators: [],
+    roles: {},
+    createdAt: new Date()
+  });
+  vendor = await db.vendors.create({ id: uuidv4(), eventId: event.id, companyName: 'Sound Co', createdAt: new Date() });
+});
+
+test('overlapping sessions clash only when they share something', async () => {
+  const keynote = await createSession('Keynote', '2030-06-01T09:00:00Z', '2030-06-01T10:00:00Z', { location: 'Main Hall' });
+
+  const sameRoom = await createSession('Panel', '2030-06-01T09:30:00Z', '2030-06-01T10:30:00Z', { location: ' main hall ' });
+  const [clash] = await conflictsOf(sameRoom);
+  assert.equal(clash.sessionId, keynote.id);
+  assert.deepEqual(clash.shared, [{ type: 'location', location: 'Main Hall' }]);
+
+  const otherRoom = await createSession('Workshop', '2030-06-01T09:30:00Z', '2030-06-01T10:30:00Z', { location: 'Room B' });
+  assert.deepEqual(await conflictsOf(otherRoom), []);
+
+  // Back-to-back sessions do not overlap
+  const next = await createSession('Lunch', '2030-06-01T10:30:00Z', '2030-06-01T11:30:00Z', { location: 'Main Hall' });
+  assert.deepEqual(await conflictsOf(next), []);
+});
+
+test('every clashing pair is listed once', async () => {
+  const first = await createSession('Keynote', '2030-06-01T09:00:00Z', '2030-06-01T10:00:00Z', { responsibleId: host.id });
+  const second = await createSession('Panel', '2030-06-01T09:30:00Z', '2030-06-01T10:30:00Z', { responsibleId: host.id });
+  await createSession('Lunch', '2030-06-01T12:00:00Z', '2030-06-01T13:00:00Z', { responsibleId: host.id });
+
+  const pairs = listConflicts(await db.agendaSessions.find({ eventId: event.id }), await eventVendorIds(event.id));
+  assert.deepEqual(pairs, [{ sessionIds: [first.id, second.id], shared: [{ type: 'responsible', userId: host.id }] }]);
+});
+
+test('a deleted vendor no longer ties sessions together', async () => {
+  await createSession('Keynote', '2030-06-01T09:00:00Z', '2030-06-01T10:00:00Z', { vendorIds: [vendor.id] });
+  const panel = await createSession('Panel', '2030-06-01T09:30:00Z', '2030-06-01T10:30:00Z', { vendorIds: [vendor.id] });
+  assert.equal((await conflictsOf(panel)).length, 1);
+
+  await db.vendors.softRemove(vendor.id, { deletedBy: host.id });
+
+  assert.deepEqual(await conflictsOf(panel), []);
+});
+
+test('a session back from the trash drops stale references and reports clashes', async () => {
+  await createSession('Keynote', '2030-06-01T09:00:00Z', '2030-06-01T10:00:00Z', { location: 'Main Hall' });
+  const panel = await createSession('Panel', '2030-06-01T09:30:00Z', '2030-06-01T10:30:00Z', {
+    location: 'Main Hall',
+    responsibleId: uuidv4(),
+    vendorIds: [vendor.id, uuidv4()]
+  });
+  await db.agendaSessions.softRemove(panel.id, { deletedBy: host.id });
+
+  const { changes, conflicts } = await checkReturningSession(event, await db.agendaSessions.findById(panel.id, { withDeleted: true }));
+
+  assert.deepEqual(changes, { responsibleId: null, vendorIds: [vendor.id] });
+  assert.equal(conflicts.length, 1);
+});
+
+test('reverting a session delete is refused when it would clash', async () => {
+  const panel = await createSession('Panel', '2030-06-01T09:30:00Z', '2030-06-01T10:30:00Z', { location: 'Main Hall' });
+  await db.agendaSessions.softRemove(panel.id, { deletedBy: host.id });
+  const entry = await recordChange({ actorId: host.id, eventId: event.id, entityType: 'session', action: 'delete', before: panel, after: null });
+  await createSession('Keynote', '2030-06-01T09:00:00Z', '2030-06-01T10:00:00Z', { location: 'Main Hall' });
+
+  await assert.rejects(revertChange(entry, host.id), (error) => {
+    assert.ok(error instanceof RevertError);
+    assert.equal(error.statusCode, 409);
+    assert.equal(error.details.length, 1);
+    return true;
+  });
+  assert.equal(await db.agendaSessions.findById(panel.id), null);
+
+  await revertChange(entry, host.id, { allowConflicts: true });
+  assert.ok(await db.agendaSessions.findById(panel.id));
+});
+
+test('the run-of-show numbers sessions in order and groups them by local day', async () => {
+  const lead = await db.users.create({ id: uuidv4(), name: 'Lee', email: `lee-${uuidv4()}@example.com`, createdAt: new Date() });
+  await createSession('Breakfast', '2030-06-02T06:00:00Z', '2030-06-02T07:00:00Z');
+  await createSession('Keynote', '2030-06-01T21:00:00Z', '2030-06-01T22:00:00Z', {
+    location: 'Main Hall',
+    responsibleId: lead.id,
+    vendorIds: [vendor.id]
+  });
+  // Starts with the keynote but is shorter, so it runs first
+  await createSession('Doors open', '2030-06-01T21:00:00Z', '2030-06-01T21:15:00Z');
+
+  // 21:00 UTC is already the next day in Tokyo
+  const days = await buildRunOfShow(event, { timezone: 'Asia/Tokyo', includeVendors: true });
+
+  assert.deepEqual(days.map(day => day.date), ['2030-06-02']);
+  assert.deepEqual(days[0].sessions.map(session => [session.position, session.title, session.start]), [
+    [1, 'Doors open', '06:00'],
+    [2, 'Keynote', '06:00'],
+    [3, 'Breakfast', '15:00']
+  ]);
+  assert.equal(days[0].sessions[1].responsible, 'Lee');
+  assert.deepEqual(days[0].sessions[1].vendors, ['Sound Co']);
+
+  const text = formatRunOfShow(event, days, 'Asia/Tokyo');
+  assert.match(text, /^Run of show: Summit\nTimes in Asia\/Tokyo\n/);
+  assert.match(text, / {2}2\. 06:00-07:00 {2}Keynote {2}\(Main Hall; lead: Lee; vendors: Sound Co\)\n/);
+
+  // Readers who cannot see vendors get no vendor names
+  const [withoutVendors] = await buildRunOfShow(event, { timezone: 'UTC', includeVendors: false });
+  assert.deepEqual(withoutVendors.sessions.find(session => session.title === 'Keynote').vendors, []);
+});
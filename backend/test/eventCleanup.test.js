@@ -0,0 +1,116 @@
+// Event cleanup tests
+// Deleting an event must take every record hanging off it along, and nothing
+// that belongs to another event.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { removeEventCascade, trashEventCascade, restoreEventCascade } = require('../services/eventCleanup');
+
+// Listed here rather than taken from the service, so a collection that is
+// dropped from the cascade fails the tests
+const EVENT_RESOURCES = ['tasks', 'guests', 'vendors', 'expenses', 'agendaSessions'];
+const EVENT_METADATA = [
+  'invitations',
+  'ownershipTransfers',
+  'comments',
+  'activityReads',
+  'notifications',
+  'webhooks',
+  'webhookDeliveries'
+];
+
+const createEvent = async () => db.events.create({
+  id: uuidv4(),
+  name: 'Test event',
+  type: 'Party',
+  date: new Date('2030-06-01T00:00:00Z'),
+  hostId: 'host',
+  collaborators: [],
+  roles: {},
+  createdAt: new Date()
+});
+
+// One record in every per-event collection
+const fillEvent = async (event) => {
+  for (const collection of [...EVENT_RESOURCES, ...EVENT_METADATA]) {
+    await db[collection].create({ id: uuidv4(), eventId: event.id, createdAt: new Date() });
+  }
+};
+
+const countFor = async (collection, eventId) =>
+  db[collection].count({ eventId }, { withDeleted: true });
+
+let event;
+let otherEvent;
+
+beforeEach(async () => {
+  event = await createEvent();
+  otherEvent = await createEvent();
+  await fillEvent(event);
+  await fillEvent(otherEvent);
+});
+
+test('deleting an event removes its records and metadata', async () => {
+  const summary = await removeEventCascade(event);
+
+  assert.equal(summary.mode, 'deleted');
+  assert.equal(await db.events.findById(event.id, { withDeleted: true }), null);
+  for (const collection of [...EVENT_RESOURCES, ...EVENT_METADATA]) {
+    assert.equal(await countFor(collection, event.id), 0, `${collection} left behind`);
+  }
+  EVENT_RESOURCES.forEach(resource => assert.equal(summary.removed[resource], 1));
+});
+
+test('deleting an event removes records that were already in the trash', async () => {
+  const [task] = await db.tasks.find({ eventId: event.id });
+  await db.tasks.softRemove(task.id, { deletedBy: 'host' });
+
+  await removeEventCascade(event);
+
+  assert.equal(await db.tasks.findById(task.id, { withDeleted: true }), null);
+});
+
+test('deleting an event leaves other events alone', async () => {
+  await removeEventCascade(event);
+
+  assert.ok(await db.events.findById(otherEvent.id));
+  for (const collection of [...EVENT_RESOURCES, ...EVENT_METADATA]) {
+    assert.equal(await countFor(collection, otherEvent.id), 1, `${collection} of another event removed`);
+  }
+});
+
+test('archiving an event keeps a copy of it and its records', async () => {
+  const summary = await removeEventCascade(event, { archive: true });
+
+  assert.equal(summary.mode, 'archived');
+  assert.equal(await db.events.findById(event.id), null);
+  assert.ok(await db.repository('eventsArchive').findById(event.id));
+  for (const resource of EVENT_RESOURCES) {
+    assert.equal(await countFor(resource, event.id), 0);
+    assert.equal(await db.repository(`${resource}Archive`).count({ eventId: event.id }), 1, `${resource} not archived`);
+  }
+});
+
+test('trashing an event hides its records until it is restored', async () => {
+  const [guest] = await db.guests.find({ eventId: event.id });
+  await db.guests.softRemove(guest.id, { deletedBy: 'host' });
+
+  await trashEventCascade(await db.events.findById(event.id), 'host');
+
+  assert.equal(await db.events.findById(event.id), null);
+  for (const resource of EVENT_RESOURCES) {
+    assert.equal(await db[resource].count({ eventId: event.id }), 0, `${resource} still visible`);
+  }
+
+  const { restored } = await restoreEventCascade(await db.events.findById(event.id, { withDeleted: true }));
+
+  assert.ok(await db.events.findById(event.id));
+  assert.equal(restored.guests, 0);
+  // A guest deleted before the event stays in the trash
+  assert.equal(await db.guests.findById(guest.id), null);
+  for (const resource of EVENT_RESOURCES.filter(name => name !== 'guests')) {
+    assert.equal(await db[resource].count({ eventId: event.id }), 1, `${resource} not restored`);
+  }
+});
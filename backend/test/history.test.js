@@ -0,0 +1,90 @@
+// Change history tests
+// Reverting undoes a recorded change, except for changes that have a flow of
+// their own and must not be bypassed.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { setTransport } = require('../services/mailer');
+const { RevertError, recordChange, revertChange } = require('../services/audit');
+const { nominateOwner, acceptTransfer } = require('../services/ownershipTransfer');
+const { removeCollaborator } = require('../services/invitations');
+
+setTransport({ async send() {} });
+
+const createUser = async (name) => db.users.create({
+  id: uuidv4(),
+  name,
+  email: `${name.toLowerCase()}-${uuidv4()}@example.com`,
+  createdAt: new Date()
+});
+
+// The latest history entry of the event
+const lastEntry = async (eventId) => {
+  const entries = await db.auditLogs.find({ eventId });
+  return entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+};
+
+let owner;
+let editor;
+let event;
+
+beforeEach(async () => {
+  owner = await createUser('Olga');
+  editor = await createUser('Emil');
+  event = await db.events.create({
+    id: uuidv4(),
+    name: 'Launch',
+    type: 'Party',
+    date: new Date('2030-06-01T00:00:00Z'),
+    hostId: owner.id,
+    collaborators: [editor.id],
+    roles: { [editor.id]: 'editor' },
+    status: 'Planning',
+    createdAt: new Date()
+  });
+});
+
+test('an ordinary event update can be reverted', async () => {
+  const renamed = await db.events.update(event.id, { name: 'Relaunch' });
+  const entry = await recordChange({ actorId: owner.id, eventId: event.id, entityType: 'event', action: 'update', before: event, after: renamed });
+
+  await revertChange(entry, owner.id);
+
+  assert.equal((await db.events.findById(event.id)).name, 'Launch');
+});
+
+test('an ownership transfer cannot be reverted', async () => {
+  const transfer = await nominateOwner(event, owner, editor, 'editor');
+  await acceptTransfer(transfer, await db.events.findById(event.id));
+  const entry = await lastEntry(event.id);
+  assert.ok(entry.changes.some(change => change.field === 'hostId'));
+
+  await assert.rejects(revertChange(entry, editor.id), (error) => {
+    assert.ok(error instanceof RevertError);
+    assert.equal(error.statusCode, 409);
+    return true;
+  });
+
+  const current = await db.events.findById(event.id);
+  assert.equal(current.hostId, editor.id);
+  assert.deepEqual(current.collaborators, [owner.id]);
+});
+
+test('a status change cannot be reverted', async () => {
+  const live = await db.events.update(event.id, { status: 'Confirmed', statusChangedAt: new Date() });
+  const entry = await recordChange({ actorId: owner.id, eventId: event.id, entityType: 'event', action: 'update', before: event, after: live });
+
+  await assert.rejects(revertChange(entry, owner.id), RevertError);
+  assert.equal((await db.events.findById(event.id)).status, 'Confirmed');
+});
+
+test('a member leaving cannot be reverted', async () => {
+  await removeCollaborator(event, editor.id, editor.id);
+  const entry = (await db.auditLogs.find({ eventId: event.id, entityType: 'event' }))[0];
+  assert.ok(entry.changes.some(change => change.field === 'collaborators'));
+
+  await assert.rejects(revertChange(entry, owner.id), RevertError);
+  assert.deepEqual((await db.events.findById(event.id)).collaborators, []);
+});
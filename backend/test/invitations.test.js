@@ -0,0 +1,77 @@
+// Collaborator tests
+// Member changes read the member lists and write them back whole, so changes
+// that happen at the same time must not undo each other.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { setTransport } = require('../services/mailer');
+const { acceptInvitation, removeCollaborator, changeCollaboratorRole } = require('../services/invitations');
+
+setTransport({ async send() {} });
+
+const createUser = async (name) => db.users.create({
+  id: uuidv4(),
+  name,
+  email: `${name.toLowerCase()}-${uuidv4()}@example.com`,
+  createdAt: new Date()
+});
+
+const createInvitation = async (event, user, role) => db.invitations.create({
+  id: uuidv4(),
+  eventId: event.id,
+  email: user.email,
+  role,
+  status: 'pending',
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  createdAt: new Date()
+});
+
+let owner;
+let event;
+
+beforeEach(async () => {
+  owner = await createUser('Olga');
+  event = await db.events.create({
+    id: uuidv4(),
+    name: 'Launch',
+    type: 'Party',
+    date: new Date('2030-06-01T00:00:00Z'),
+    hostId: owner.id,
+    collaborators: [],
+    roles: {},
+    createdAt: new Date()
+  });
+});
+
+test('invitations accepted at the same time both add their member', async () => {
+  const ada = await createUser('Ada');
+  const ben = await createUser('Ben');
+  const invitations = [await createInvitation(event, ada, 'editor'), await createInvitation(event, ben, 'viewer')];
+
+  await Promise.all([acceptInvitation(invitations[0], ada), acceptInvitation(invitations[1], ben)]);
+
+  const current = await db.events.findById(event.id);
+  assert.deepEqual([...current.collaborators].sort(), [ada.id, ben.id].sort());
+  assert.deepEqual(current.roles, { [ada.id]: 'editor', [ben.id]: 'viewer' });
+});
+
+test('a role change does not bring back a member removed at the same time', async () => {
+  const ada = await createUser('Ada');
+  const ben = await createUser('Ben');
+  const members = await db.events.update(event.id, {
+    collaborators: [ada.id, ben.id],
+    roles: { [ada.id]: 'editor', [ben.id]: 'viewer' }
+  });
+
+  await Promise.all([
+    removeCollaborator(members, ada.id, owner.id),
+    changeCollaboratorRole(members, ada.id, 'finance', owner.id),
+    changeCollaboratorRole(members, ben.id, 'editor', owner.id)
+  ]);
+
+  const current = await db.events.findById(event.id);
+  assert.deepEqual(current.collaborators, [ben.id]);
+  assert.deepEqual(current.roles, { [ben.id]: 'editor' });
+});
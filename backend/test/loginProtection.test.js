@@ -0,0 +1,150 @@
+// Login protection tests
+// Run against a fake clock, so delays and lockouts are checked without
+// waiting for them.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { setTransport } = require('../services/mailer');
+const { createLoginProtection } = require('../services/loginProtection');
+
+const IP = '203.0.113.7';
+const MINUTE_MS = 60 * 1000;
+
+const sentMail = [];
+setTransport({ async send(message) { sentMail.push(message); } });
+
+let clock;
+let protection;
+let user;
+
+const advance = (ms) => {
+  clock = new Date(clock.getTime() + ms);
+};
+
+const failTimes = async (count, email = user.email, ip = IP) => {
+  for (let i = 0; i < count; i += 1) {
+    await protection.recordFailure(email, ip, user);
+  }
+};
+
+beforeEach(async () => {
+  await db.loginAttempts.removeWhere({});
+  sentMail.length = 0;
+
+  clock = new Date('2030-01-01T12:00:00Z');
+  protection = createLoginProtection({
+    now: () => clock,
+    maxFailures: 3,
+    ipMaxFailures: 5,
+    failureWindowMinutes: 15,
+    lockoutMinutes: 10,
+    delayBaseSeconds: 1
+  });
+
+  user = await db.users.create({
+    id: uuidv4(),
+    name: 'Lou',
+    email: `lou-${uuidv4()}@example.com`,
+    createdAt: new Date()
+  });
+});
+
+test('each failure doubles the wait before the next attempt', async () => {
+  await failTimes(1);
+  assert.deepEqual(await protection.checkAllowed(user.email, IP), { allowed: false, reason: 'throttled', retryAfterSeconds: 1 });
+
+  advance(1000);
+  assert.equal((await protection.checkAllowed(user.email, IP)).allowed, true);
+
+  await failTimes(1);
+  assert.deepEqual(await protection.checkAllowed(user.email, IP), { allowed: false, reason: 'throttled', retryAfterSeconds: 2 });
+
+  advance(1999);
+  assert.equal((await protection.checkAllowed(user.email, IP)).allowed, false);
+  advance(1);
+  assert.equal((await protection.checkAllowed(user.email, IP)).allowed, true);
+});
+
+test('the account locks at the threshold and unlocks when the lockout ends', async () => {
+  await failTimes(2);
+  const { locked } = await protection.recordFailure(user.email, IP, user);
+  assert.equal(locked, true);
+
+  const check = await protection.checkAllowed(user.email, IP);
+  assert.equal(check.reason, 'account_locked');
+  assert.equal(check.retryAfterSeconds, 10 * 60);
+
+  advance(10 * MINUTE_MS - 1);
+  assert.equal((await protection.checkAllowed(user.email, IP)).allowed, false);
+  advance(1);
+  assert.equal((await protection.checkAllowed(user.email, IP)).allowed, true);
+});
+
+test('the lockout mails an unlock link that lifts the lock', async () => {
+  await failTimes(3);
+
+  assert.equal(sentMail.length, 1);
+  assert.equal(sentMail[0].to, user.email);
+  const token = new URL(sentMail[0].text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+  assert.equal(await protection.unlockAccount(token), true);
+  assert.equal((await protection.checkAllowed(user.email, IP)).allowed, true);
+  // Unlock links work once
+  assert.equal(await protection.unlockAccount(token), false);
+});
+
+test('the unlock link stops working when the lockout would have ended', async () => {
+  await failTimes(3);
+  const token = new URL(sentMail[0].text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+  advance(10 * MINUTE_MS);
+  assert.equal(await protection.unlockAccount(token), false);
+});
+
+test('a lock after an earlier one ran out is reported again', async () => {
+  await failTimes(3);
+  advance(10 * MINUTE_MS);
+
+  // Still within the failure window, so the count goes on from 3
+  const { locked } = await protection.recordFailure(user.email, IP, user);
+  assert.equal(locked, true);
+  assert.equal((await protection.checkAllowed(user.email, IP)).reason, 'account_locked');
+  assert.equal(sentMail.length, 2);
+  assert.equal((await db.securityEvents.find({ userId: user.id })).length, 2);
+});
+
+test('failures older than the window are forgotten', async () => {
+  await failTimes(2);
+  advance(15 * MINUTE_MS);
+
+  // Counting starts over, so this failure does not lock the account
+  const { locked } = await protection.recordFailure(user.email, IP, user);
+  assert.equal(locked, false);
+  assert.equal((await protection.checkAllowed(user.email, IP)).reason, 'throttled');
+});
+
+test('an IP that fails too often is locked out for every account', async () => {
+  for (let i = 0; i < 5; i += 1) {
+    await protection.recordFailure(`nobody-${i}@example.com`, IP, null);
+  }
+
+  const check = await protection.checkAllowed(user.email, IP);
+  assert.equal(check.reason, 'ip_locked');
+  assert.equal(check.retryAfterSeconds, 10 * 60);
+  assert.equal((await protection.checkAllowed(user.email, '198.51.100.1')).allowed, true);
+});
+
+test('the next successful login reports the lockout once', async () => {
+  await failTimes(3);
+  advance(10 * MINUTE_MS);
+
+  const notices = await protection.recordSuccess(user.email, user);
+  assert.equal(notices.length, 1);
+  assert.equal(notices[0].type, 'account_locked');
+  assert.equal(notices[0].ip, IP);
+  assert.deepEqual(new Date(notices[0].occurredAt), new Date('2030-01-01T12:00:00Z'));
+
+  assert.deepEqual(await protection.recordSuccess(user.email, user), []);
+});
@@ -0,0 +1,50 @@
+// Password reset tests
+// The forgot-password answer must not reveal whether an account exists, not
+// even when the reset email cannot be sent.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { setTransport } = require('../services/mailer');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const forgotPassword = async (email) => {
+  const response = await fetch(`${baseUrl}/forgot-password`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email })
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('known and unknown emails get the same answer when mail fails', async () => {
+  const user = await db.users.create({ id: uuidv4(), name: 'Rosa', email: `rosa-${uuidv4()}@example.com`, createdAt: new Date() });
+  const attempted = [];
+  setTransport({
+    async send(message) {
+      attempted.push(message.to);
+      throw new Error('SMTP server unavailable');
+    }
+  });
+
+  const known = await forgotPassword(user.email);
+  const unknown = await forgotPassword(`nobody-${uuidv4()}@example.com`);
+
+  assert.deepEqual(attempted, [user.email]);
+  assert.deepEqual(known, unknown);
+  assert.equal(known.status, 202);
+});
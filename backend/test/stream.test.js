@@ -0,0 +1,112 @@
+// Real-time stream tests
+// A stream is opened over HTTP and read until the server closes it, so the
+// messages are checked in the order a client sees them.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { setTransport } = require('../services/mailer');
+const { startSession } = require('../services/sessions');
+const { recordChange } = require('../services/audit');
+const { trashEventCascade } = require('../services/eventCleanup');
+const { removeCollaborator } = require('../services/invitations');
+
+setTransport({ async send() {} });
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use('/api/events', require('../routes/stream'));
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/events`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Opens the stream and resolves once the first message has arrived. messages
+// collects every message; closed resolves when the server ends the stream.
+const openStream = async (eventId, token) => {
+  const response = await fetch(`${baseUrl}/${eventId}/stream`, { headers: { Authorization: `Bearer ${token}` } });
+  assert.equal(response.status, 200);
+
+  const messages = [];
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let ready;
+  const readyPromise = new Promise(resolve => { ready = resolve; });
+
+  const closed = (async () => {
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const type = (block.match(/^event: (.*)$/m) || [])[1];
+        const data = (block.match(/^data: (.*)$/m) || [])[1];
+        if (type) {
+          messages.push({ type, data: JSON.parse(data) });
+          ready();
+        }
+      }
+    }
+  })();
+
+  await readyPromise;
+  return { messages, closed };
+};
+
+let host;
+let member;
+let event;
+
+const createUser = async (name) => db.users.create({
+  id: uuidv4(),
+  name,
+  email: `${name.toLowerCase()}-${uuidv4()}@example.com`,
+  createdAt: new Date()
+});
+
+beforeEach(async () => {
+  host = await createUser('Hugo');
+  member = await createUser('Mila');
+  event = await db.events.create({
+    id: uuidv4(),
+    name: 'Gala',
+    type: 'Party',
+    date: new Date('2030-06-01T00:00:00Z'),
+    hostId: host.id,
+    collaborators: [member.id],
+    roles: { [member.id]: 'viewer' },
+    createdAt: new Date()
+  });
+});
+
+test('a deleted event sends its delete message before the stream closes', async () => {
+  const { token } = await startSession(member);
+  const { messages, closed } = await openStream(event.id, token);
+
+  // The order DELETE /api/events/:eventId follows
+  await recordChange({ actorId: host.id, eventId: event.id, entityType: 'event', action: 'delete', before: event });
+  await trashEventCascade(event, host.id);
+  await closed;
+
+  assert.deepEqual(messages.map(message => message.type), ['ready', 'delete', 'revoked']);
+  assert.equal(messages[1].data.entityId, event.id);
+  assert.deepEqual(messages[2].data, { eventId: event.id, reason: 'event_deleted' });
+});
+
+test('a member who is removed is told why the stream closes', async () => {
+  const { token } = await startSession(member);
+  const { messages, closed } = await openStream(event.id, token);
+
+  await removeCollaborator(event, member.id, host.id);
+  await closed;
+
+  assert.deepEqual(messages.map(message => message.type), ['ready', 'revoked']);
+  assert.deepEqual(messages[1].data, { eventId: event.id, reason: 'access_removed' });
+});
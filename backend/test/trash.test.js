@@ -0,0 +1,84 @@
+// Trash tests
+// Trashed records stay out of lists and totals, and can come back as long as
+// nothing took their place meanwhile. Called over HTTP like a client would.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { startSession } = require('../services/sessions');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/events', require('../routes/trash'));
+  app.use('/api/events', require('../routes/guests'));
+  app.use('/api/events', require('../routes/expenses'));
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/events`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+let token;
+let event;
+
+const call = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}/${event.id}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+beforeEach(async () => {
+  const host = await db.users.create({ id: uuidv4(), name: 'Ines', email: `ines-${uuidv4()}@example.com`, createdAt: new Date() });
+  ({ token } = await startSession(host));
+  event = await db.events.create({
+    id: uuidv4(),
+    name: 'Reunion',
+    type: 'Party',
+    date: new Date('2030-06-01T00:00:00Z'),
+    hostId: host.id,
+    collaborators: [],
+    roles: {},
+    createdAt: new Date()
+  });
+});
+
+test('a guest in the trash keeps its email from being reused until it is restored', async () => {
+  const guest = { name: 'Gus', email: 'gus@example.com' };
+  const { body: created } = await call('POST', '/guests', guest);
+  assert.equal((await call('DELETE', `/guests/${created.id}`)).status, 204);
+
+  const duplicate = await call('POST', '/guests', guest);
+  assert.equal(duplicate.status, 400);
+  assert.match(duplicate.body.error, /in the trash/);
+
+  const restored = await call('POST', `/guests/${created.id}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.id, created.id);
+  assert.equal((await call('POST', '/guests', guest)).status, 400);
+});
+
+test('trashed expenses are left out of the totals until they are restored', async () => {
+  await call('POST', '/expenses', { name: 'Venue', category: 'Venue', amount: 500, isPaid: true });
+  const { body: catering } = await call('POST', '/expenses', { name: 'Catering', category: 'Food', amount: 300, isPaid: false });
+  await call('DELETE', `/expenses/${catering.id}`);
+
+  const listed = await call('GET', '/expenses');
+  assert.deepEqual(listed.body.expenses.map(expense => expense.name), ['Venue']);
+  assert.deepEqual(listed.body.budgetSummary, { totalBudget: 500, paidAmount: 500, pendingAmount: 0 });
+
+  const summary = await call('GET', '/expenses/summary/budget');
+  assert.deepEqual(summary.body, { totalBudget: 500, paidAmount: 500, pendingAmount: 0, categoryBreakdown: { Venue: 500 } });
+
+  await call('POST', `/expenses/${catering.id}/restore`);
+  assert.equal((await call('GET', '/expenses/summary/budget')).body.totalBudget, 800);
+});
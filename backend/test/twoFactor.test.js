@@ -0,0 +1,145 @@
+// Two-factor authentication tests
+// The login and settings routes are mounted on a bare app and called over
+// HTTP, so the challenge flow is exercised the way clients use it.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { setTransport } = require('../services/mailer');
+const { generateTotp, verifyTotp } = require('../services/twoFactor');
+
+setTransport({ async send() {} });
+
+const PASSWORD = 'correct-horse-battery';
+const PERIOD_SECONDS = 30;
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  app.use('/api/auth', require('../routes/twoFactor'));
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const call = async (path, body, accessToken) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (accessToken) {
+    headers.Authorization = `Bearer ${accessToken}`;
+  }
+  const response = await fetch(`${baseUrl}${path}`, { method: 'POST', headers, body: JSON.stringify(body || {}) });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+const login = () => call('/login', { email: user.email, password: PASSWORD });
+
+// The code for the next time step, which no earlier request can have used
+const nextCode = (secret) => generateTotp(secret, Math.floor(Date.now() / 1000 / PERIOD_SECONDS) + 1);
+
+let user;
+
+// A user with 2FA switched on, and the session it was switched on from
+const enroll = async () => {
+  const { body: session } = await login();
+  const { body: { secret } } = await call('/2fa/setup', {}, session.token);
+  const confirmed = await call('/2fa/confirm', { code: generateTotp(secret) }, session.token);
+  assert.equal(confirmed.status, 200);
+  return { secret, session, recoveryCodes: confirmed.body.recoveryCodes };
+};
+
+beforeEach(async () => {
+  await db.loginAttempts.removeWhere({});
+  user = await db.users.create({
+    id: uuidv4(),
+    name: 'Tess',
+    email: `tess-${uuidv4()}@example.com`,
+    password: await bcrypt.hash(PASSWORD, 4),
+    twoFactorEnabled: false,
+    createdAt: new Date()
+  });
+});
+
+test('codes match the RFC 6238 SHA-1 test vectors', () => {
+  // The RFC secret is the ASCII string "12345678901234567890"
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  // The RFC lists 8-digit codes; 6-digit codes are their last six digits
+  assert.equal(generateTotp(secret, Math.floor(59 / PERIOD_SECONDS)), '287082');
+  assert.equal(generateTotp(secret, Math.floor(1111111109 / PERIOD_SECONDS)), '081804');
+  assert.equal(generateTotp(secret, Math.floor(1234567890 / PERIOD_SECONDS)), '005924');
+  assert.equal(generateTotp(secret, Math.floor(2000000000 / PERIOD_SECONDS)), '279037');
+});
+
+test('a code is refused once its step has been used', () => {
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  const step = verifyTotp(secret, generateTotp(secret));
+  assert.notEqual(step, null);
+  assert.equal(verifyTotp(secret, generateTotp(secret), step), null);
+});
+
+test('with 2FA on, a login needs the password and then an app code', async () => {
+  const { secret } = await enroll();
+
+  const first = await login();
+  assert.equal(first.status, 200);
+  assert.equal(first.body.twoFactorRequired, true);
+  assert.equal(first.body.token, undefined);
+
+  const code = nextCode(secret);
+  const second = await call('/login/2fa', { challengeToken: first.body.challengeToken, code });
+  assert.equal(second.status, 200);
+  assert.ok(second.body.token);
+
+  // Neither the challenge nor the code work a second time
+  assert.equal((await call('/login/2fa', { challengeToken: first.body.challengeToken, code })).status, 401);
+  const again = await login();
+  assert.equal((await call('/login/2fa', { challengeToken: again.body.challengeToken, code })).status, 401);
+});
+
+test('a recovery code completes one login', async () => {
+  const { recoveryCodes } = await enroll();
+  const [recoveryCode] = recoveryCodes;
+
+  const first = await login();
+  const second = await call('/login/2fa', { challengeToken: first.body.challengeToken, recoveryCode });
+  assert.equal(second.status, 200);
+  assert.equal(second.body.recoveryCodesRemaining, recoveryCodes.length - 1);
+
+  const again = await login();
+  assert.equal((await call('/login/2fa', { challengeToken: again.body.challengeToken, recoveryCode })).status, 401);
+});
+
+test('wrong codes for a settings change are throttled like logins', async () => {
+  const { secret, session } = await enroll();
+
+  assert.equal((await call('/2fa/recovery-codes', { code: '000000' }, session.token)).status, 400);
+
+  const retry = await call('/2fa/disable', { code: nextCode(secret) }, session.token);
+  assert.equal(retry.status, 429);
+  assert.equal((await db.users.findById(user.id)).twoFactorEnabled, true);
+});
+
+test('disabling 2FA refuses a used code and logs out the other sessions', async () => {
+  const { secret, session, recoveryCodes } = await enroll();
+  const first = await login();
+  const { body: other } = await call('/login/2fa', { challengeToken: first.body.challengeToken, recoveryCode: recoveryCodes[0] });
+
+  // The code that confirmed the enrollment cannot be replayed
+  const replay = await call('/2fa/disable', { code: generateTotp(secret, (await db.users.findById(user.id)).twoFactorLastStep) }, session.token);
+  assert.equal(replay.status, 400);
+  await db.loginAttempts.removeWhere({});
+
+  assert.equal((await call('/2fa/disable', { code: nextCode(secret) }, session.token)).status, 204);
+  assert.equal((await db.users.findById(user.id)).twoFactorEnabled, false);
+
+  assert.equal((await call('/2fa/setup', {}, other.token)).status, 403);
+  assert.equal((await call('/2fa/setup', {}, session.token)).status, 200);
+});
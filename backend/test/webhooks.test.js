@@ -0,0 +1,204 @@
+// Webhook tests
+// Deliveries go to a real HTTP receiver on localhost that records what it gets
+// and answers with whatever status the test asks for.
+
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_SECONDS = '30';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../data');
+const { recordChange } = require('../services/audit');
+const { removeEventCascade } = require('../services/eventCleanup');
+const {
+  generateSecret,
+  signPayload,
+  redeliver,
+  sendPing,
+  retryDueDeliveries,
+  settleDispatches,
+  startWebhookDispatcher
+} = require('../services/webhooks');
+
+const SECOND_MS = 1000;
+
+let server;
+let dispatcher;
+let receiverUrl;
+let received;
+let responses;
+let waiting;
+
+// Resolves with the next request the receiver gets
+const nextRequest = () => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error('No delivery arrived')), 5 * SECOND_MS);
+  waiting = (request) => {
+    clearTimeout(timer);
+    resolve(request);
+  };
+});
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, headers: req.headers, body };
+      received.push(request);
+      res.writeHead(responses.shift() || 200).end();
+      if (waiting) {
+        const notify = waiting;
+        waiting = null;
+        notify(request);
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+  dispatcher = startWebhookDispatcher();
+});
+
+after(() => {
+  clearInterval(dispatcher);
+  return new Promise(resolve => server.close(resolve));
+});
+
+let webhook;
+
+// The retry is scheduled once the attempt has finished, so allow for its duration
+const assertBackoff = (delivery, seconds) => {
+  const backoffMs = new Date(delivery.nextAttemptAt) - new Date(delivery.lastAttemptAt);
+  assert.ok(backoffMs >= seconds * SECOND_MS && backoffMs < (seconds + 1) * SECOND_MS, `backoff was ${backoffMs} ms`);
+};
+
+beforeEach(async () => {
+  received = [];
+  responses = [];
+  waiting = null;
+  webhook = await db.webhooks.create({
+    id: uuidv4(),
+    eventId: uuidv4(),
+    url: receiverUrl,
+    eventTypes: ['guest.rsvp_changed'],
+    secret: generateSecret(),
+    active: true,
+    createdBy: 'host',
+    version: 1,
+    createdAt: new Date()
+  });
+});
+
+test('a ping is POSTed with a signature the receiver can verify', async () => {
+  const delivery = await sendPing(webhook);
+
+  assert.equal(delivery.status, 'succeeded');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.responseStatus, 200);
+
+  assert.equal(received.length, 1);
+  const [{ method, headers, body }] = received;
+  assert.equal(method, 'POST');
+  assert.equal(headers['x-planpilot-event'], 'webhook.ping');
+  assert.equal(headers['x-planpilot-delivery'], delivery.id);
+  assert.equal(JSON.parse(body).data.webhookId, webhook.id);
+
+  const [, timestamp, signature] = headers['x-planpilot-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+  assert.equal(signature, signPayload(webhook.secret, timestamp, body));
+  assert.notEqual(signature, signPayload(generateSecret(), timestamp, body));
+});
+
+test('a recorded change is delivered for the types the webhook subscribed to', async () => {
+  const guest = { id: uuidv4(), eventId: webhook.eventId, name: 'Gia', rsvpStatus: 'Pending' };
+  const arrived = nextRequest();
+  await recordChange({
+    actorId: 'host',
+    eventId: webhook.eventId,
+    entityType: 'guest',
+    action: 'update',
+    before: guest,
+    after: { ...guest, rsvpStatus: 'Accepted' }
+  });
+
+  const { headers, body } = await arrived;
+  const payload = JSON.parse(body);
+  assert.equal(headers['x-planpilot-event'], 'guest.rsvp_changed');
+  assert.equal(payload.type, 'guest.rsvp_changed');
+  assert.equal(payload.data.entityId, guest.id);
+  assert.deepEqual(payload.data.changes, [{ field: 'rsvpStatus', before: 'Pending', after: 'Accepted' }]);
+  // guest.updated was raised too, but not subscribed to
+  assert.equal(received.length, 1);
+});
+
+test('a permanent delete is delivered before the event takes its webhooks along', async () => {
+  const event = await db.events.create({
+    id: webhook.eventId,
+    name: 'Launch',
+    type: 'Party',
+    date: new Date('2030-06-01T00:00:00Z'),
+    hostId: 'host',
+    collaborators: [],
+    roles: {},
+    createdAt: new Date()
+  });
+  await db.webhooks.update(webhook.id, { eventTypes: ['event.deleted'] });
+
+  // The order DELETE /api/events/:eventId?permanent=true follows
+  await recordChange({ actorId: 'host', eventId: event.id, entityType: 'event', action: 'delete', before: event });
+  await settleDispatches(event.id);
+  await removeEventCascade(event);
+
+  assert.equal(received.length, 1);
+  assert.equal(received[0].headers['x-planpilot-event'], 'event.deleted');
+  assert.equal(JSON.parse(received[0].body).data.entityId, event.id);
+  assert.equal(await db.webhooks.findById(webhook.id), null);
+});
+
+test('a failed delivery is retried with a doubling backoff until it gives up', async () => {
+  responses.push(500, 503, 500);
+
+  const first = await sendPing(webhook);
+  assert.equal(first.status, 'pending');
+  assert.equal(first.error, 'Receiver answered 500');
+  assertBackoff(first, 30);
+
+  // Nothing is due before the backoff has passed
+  assert.equal(await retryDueDeliveries(new Date(Date.now() + 20 * SECOND_MS)), 0);
+
+  assert.equal(await retryDueDeliveries(new Date(Date.now() + 31 * SECOND_MS)), 1);
+  const second = await db.webhookDeliveries.findById(first.id);
+  assert.equal(second.attempts, 2);
+  assert.equal(second.responseStatus, 503);
+  assertBackoff(second, 60);
+
+  await retryDueDeliveries(new Date(Date.now() + 61 * SECOND_MS));
+  const last = await db.webhookDeliveries.findById(first.id);
+  assert.equal(last.attempts, 3);
+  assert.equal(last.status, 'failed');
+  assert.equal(last.nextAttemptAt, null);
+  assert.equal(received.length, 3);
+});
+
+test('a retry that gets through marks the delivery as succeeded', async () => {
+  responses.push(500);
+
+  const first = await sendPing(webhook);
+  await retryDueDeliveries(new Date(Date.now() + 31 * SECOND_MS));
+
+  const delivery = await db.webhookDeliveries.findById(first.id);
+  assert.equal(delivery.status, 'succeeded');
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.error, null);
+});
+
+test('a redelivery sends the same payload as a new delivery', async () => {
+  const original = await sendPing(webhook);
+  const repeat = await redeliver(webhook, original);
+
+  assert.notEqual(repeat.id, original.id);
+  assert.equal(repeat.redeliveryOf, original.id);
+  assert.equal(received.length, 2);
+  assert.equal(received[1].body, received[0].body);
+  assert.equal(received[1].headers['x-planpilot-delivery'], repeat.id);
+});